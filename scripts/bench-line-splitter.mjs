@@ -0,0 +1,124 @@
+/**
+ * Line Splitter Benchmark
+ * Compares `createLineSplitter` with the string based `processBuffer` on synthetic stats
+ * streams: typical samples arriving in large chunks, and large samples (many network
+ * interfaces and CPUs) arriving in small chunks. Both run with the configured
+ * `STATS_LINE_SIZE` and `STATS_BUFFER_SIZE` limits
+ *
+ * Usage: pnpm bench:splitter [--iterations <n>]
+ * @module scripts/bench-line-splitter
+ */
+
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import { config } from '../src/config/config.mjs';
+import { createLineSplitter, processBuffer } from '../src/services/docker/stats-parser.mjs';
+
+/**
+ * Builds one stats line of roughly the given size
+ * @param {number} size - Approximate line size in bytes
+ * @returns {string} JSON stats line including the trailing newline
+ */
+function buildLine(size) {
+  const networks = {};
+  let i = 0;
+  while (JSON.stringify(networks).length < size) {
+    networks[`eth${i}`] = { rx_bytes: 1574 * i, tx_bytes: 2048 * i, rx_packets: i, tx_packets: i };
+    i++;
+  }
+  return `${JSON.stringify({ read: new Date().toISOString(), networks })}\n`;
+}
+
+/**
+ * Cuts a stream of lines into chunks of a fixed size
+ * @param {string} line - Line repeated in the stream
+ * @param {number} count - Number of lines
+ * @param {number} chunkSize - Chunk size in bytes
+ * @returns {Buffer[]} Chunks as delivered by a socket
+ */
+function buildChunks(line, count, chunkSize) {
+  const data = Buffer.from(line.repeat(count));
+  const chunks = [];
+  for (let offset = 0; offset < data.length; offset += chunkSize) {
+    chunks.push(data.subarray(offset, offset + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Runs a splitter over the chunks and measures the throughput
+ * @param {function(): function(Buffer): number} createRun - Returns a function splitting one chunk into a line count
+ * @param {Buffer[]} chunks - Input chunks
+ * @param {number} iterations - Passes over the input
+ * @returns {{ ms: number, lines: number, mbPerSec: number }} Elapsed time, lines per pass and throughput
+ */
+function measure(createRun, chunks, iterations) {
+  const bytes = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  /**
+   * Splits the whole input once
+   * @returns {number} Number of lines
+   */
+  const pass = () => {
+    const run = createRun();
+    return chunks.reduce((lines, chunk) => lines + run(chunk), 0);
+  };
+
+  // Warm up, so the first implementation does not pay for the JIT alone
+  const lines = pass();
+
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) {
+    pass();
+  }
+  const ms = performance.now() - start;
+
+  return { ms, lines, mbPerSec: (bytes * iterations) / 1024 / 1024 / (ms / 1000) };
+}
+
+/**
+ * Benchmark entry point
+ */
+function main() {
+  const { values } = parseArgs({ options: { iterations: { type: 'string', default: '20' } } });
+  const iterations = Number(values.iterations);
+
+  const scenarios = [
+    { name: '3 KB lines, 64 KB chunks', lineSize: 3 * 1024, count: 2000, chunkSize: 64 * 1024 },
+    { name: '64 KB lines, 1 KB chunks', lineSize: 64 * 1024, count: 20, chunkSize: 1024 }
+  ];
+
+  // processBuffer always reads the limits from the config, the splitter gets the same ones
+  const { maxLineSize, maxBufferSize } = config.docker.stats;
+  const limits = { maxLineSize, maxBufferSize };
+  console.log(`Limits: maxLineSize=${maxLineSize} maxBufferSize=${maxBufferSize}`);
+
+  const implementations = {
+    processBuffer: () => {
+      let buffer = '';
+      return chunk => {
+        const { lines, remainingBuffer } = processBuffer(buffer, chunk);
+        buffer = remainingBuffer;
+        return lines.length;
+      };
+    },
+    createLineSplitter: () => {
+      const splitter = createLineSplitter(limits);
+      return chunk => splitter.push(chunk).length;
+    }
+  };
+
+  for (const scenario of scenarios) {
+    const chunks = buildChunks(buildLine(scenario.lineSize), scenario.count, scenario.chunkSize);
+    console.log(`\n${scenario.name} (${chunks.length} chunks x ${iterations} iterations)`);
+
+    for (const [name, createRun] of Object.entries(implementations)) {
+      const { ms, lines, mbPerSec } = measure(createRun, chunks, iterations);
+      console.log(
+        `  ${name.padEnd(20)} ${ms.toFixed(1).padStart(8)} ms  ${mbPerSec.toFixed(1).padStart(8)} MB/s  ${lines} lines`
+      );
+    }
+  }
+}
+
+main();
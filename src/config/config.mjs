@@ -5,6 +5,9 @@
  */
 
 import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import log from 'loglevel';
 
 const LOG_LEVEL_MAP = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
@@ -19,31 +22,146 @@ const {
   INFLUXDB_USER = 'admin',
   INFLUXDB_PASS = 'admin',
   INFLUXDB_DB = 'docker-stats',
+  INFLUXDB_VERSION = '1', // 1 for InfluxDB 1.x, 2 or 3 for the /api/v2 write endpoint
+  INFLUXDB_TOKEN = '',
+  INFLUXDB_ORG = '',
+  INFLUXDB_BUCKET,
   INFLUXDB_RETRY_MAX = '5',
   INFLUXDB_RETRY_DELAY = '1000',
   INFLUXDB_RETRY_MAX_DELAY = '10000',
   SHUTDOWN_TIMEOUT_MS = '10000',
   BATCH_SIZE = '100',
   BATCH_WAIT_MS = '2000',
+  BATCH_MAX_BUFFERED_POINTS = '100000', // 0 means no limit
+  BATCH_OVERFLOW_POLICY = 'drop_oldest', // drop_oldest, drop_newest or downsample
+  BATCH_DOWNSAMPLE_FACTOR = '2', // Keep every Nth point per container when downsampling
+  BATCH_HIGH_WATER_MARK = '0', // Buffered points per sink that apply backpressure, 0 disables it
+  BATCH_LOW_WATER_MARK = '', // Buffered points per sink that release backpressure, defaults to half the high-water mark
+  SELF_METRICS_INTERVAL_MS = '60000', // 0 disables writing self metrics to the sinks
+  AGGREGATION_WINDOW_MS = '0', // 0 writes every sample, otherwise samples are aggregated per container and window
+  DERIVED_RATES = 'false', // Add <counter>_per_sec fields computed from consecutive samples
+  STATS_SCHEMA = 'flat', // flat (single docker_stats measurement), tagged (per-interface, per-CPU and per-device measurements) or split (one measurement per resource)
+  BLKIO_DEVICE_NAMES = 'false', // Tag per-device block I/O with the device name from /sys/dev/block
+  METRICS_SINKS = 'influxdb', // Comma-separated list: influxdb (uses INFLUXDB_VERSION), influxdb1, influxdb2, influxdb3, http, http2, ...
+  SINK_WRITE_TIMEOUT_MS = '10000', // Timeout of a single write request, per sink override SINK_<NAME>_WRITE_TIMEOUT_MS
+  // Disk spool configuration
+  SPOOL_ENABLED = 'false',
+  SPOOL_DIR = './data/spool',
+  SPOOL_SEGMENT_BYTES = '8388608', // 8MB per segment file
+  SPOOL_MAX_BYTES = '268435456', // 256MB per sink
+  SPOOL_MAX_AGE_MS = '86400000', // 24 hours
+  SPOOL_REPLAY_INTERVAL_MS = '5000',
+  // Prometheus exporter configuration
+  PROMETHEUS_ENABLED = 'false',
+  PROMETHEUS_HOST = '0.0.0.0',
+  PROMETHEUS_PORT = '9487',
+  PROMETHEUS_PATH = '/metrics',
   // Docker-specific configuration
   DOCKER_SOCKET_PATH = '/var/run/docker.sock',
+  DOCKER_HOST = '', // Docker CLI style endpoint, takes precedence over DOCKER_SOCKET_PATH
+  DOCKER_TLS_VERIFY = '', // Any non-empty value (even '0') enables TLS with certificate verification, like the Docker CLI
+  DOCKER_CERT_PATH = '', // Directory with ca.pem, cert.pem and key.pem, defaults to ~/.docker
+  DOCKER_HOSTS = '', // Comma-separated [name=]endpoint list, takes precedence over DOCKER_HOST
   STATS_BUFFER_SIZE = '1048576', // 1MB max buffer size
   STATS_LINE_SIZE = '102400', // 100KB max line size
-  STATS_PARSE_TIMEOUT = '30000', // 30 seconds without valid parse triggers reset
-  STATS_FIELDS = '' // Empty means all fields, 'ESSENTIAL' for core subset, or comma-separated list
+  STATS_PARSE_TIMEOUT = '30000', // 30 seconds without valid parse restarts the stream
+  STATS_RECORD_DIR = '', // Directory receiving raw stats frames for replay, empty disables recording
+  STATS_RECORD_MAX_SIZE = '104857600', // 100MB per container recording, 0 for no limit
+  DOCKER_EVENTS_ENABLED = 'false', // Write container lifecycle events to the docker_events measurement
+  DOCKER_EVENTS_ACTIONS = 'create,start,restart,stop,kill,die,oom,pause,unpause,health_status,rename,destroy', // '*' for all
+  DOCKER_EVENTS_RECONNECT_DELAY_MS = '1000', // Initial delay before reopening a closed events stream
+  DOCKER_EVENTS_RECONNECT_MAX_DELAY_MS = '30000',
+  COLLECTION_MODE = 'stream', // stream (persistent stats streams) or poll (periodic one-shot requests)
+  POLL_INTERVAL_MS = '10000',
+  POLL_CONCURRENCY = '10', // Maximum concurrent stats requests per Docker host
+  RECONCILE_INTERVAL_MS = '60000', // 0 disables the reconciliation of containers and stats streams
+  STREAM_RESTART_DELAY_MS = '1000', // Initial delay before restarting a failed stats stream
+  STREAM_RESTART_MAX_DELAY_MS = '60000',
+  STREAM_BREAKER_THRESHOLD = '5', // Stream failures within the window that park a container
+  STREAM_BREAKER_WINDOW_MS = '300000',
+  STREAM_BREAKER_RETRY_MS = '300000', // Delay between half-open retries of a parked container
+  STATS_FIELDS = '', // Empty means all fields, 'ESSENTIAL' for core subset, or comma-separated list
+  // Container filter rules, e.g. 'project:shop,name:^api-' (empty include list means all containers)
+  CONTAINER_INCLUDE = '',
+  CONTAINER_EXCLUDE = '',
+  CONTAINER_FILTERS_FILE = '', // JSON file with { "include": [...], "exclude": [...] }
+  CONTAINER_LABEL_TAGS = '' // Comma-separated container labels written as label_<name> tags
 } = process.env;
 
 // Define essential fields that should be included when STATS_FIELDS=ESSENTIAL
-const ESSENTIAL_FIELDS = ['cpu_percent', 'mem_used', 'mem_total', 'net_in_bytes', 'net_out_bytes'];
+const ESSENTIAL_FIELDS = [
+  'cpu_percent',
+  'mem_used',
+  'mem_total',
+  'mem_usage_no_cache',
+  'mem_percent',
+  'net_in_bytes',
+  'net_out_bytes'
+];
+
+const INFLUX_VERSIONS = [1, 2, 3];
+
+const OVERFLOW_POLICIES = ['drop_oldest', 'drop_newest', 'downsample'];
+
+const INFLUX_SINK_PATTERN = /^influxdb([123])?$/;
+
+const HTTP_SINK_PATTERN = /^http\d*$/;
+
+const DOCKER_HOST_NAME_PATTERN = /^([\w.-]+)=(.+)$/;
+
+const COLLECTION_MODES = ['stream', 'poll'];
+
+const STATS_SCHEMAS = ['flat', 'tagged', 'split'];
+
+const DOCKER_DEFAULT_PORTS = { http: 2375, https: 2376 };
+
+/**
+ * @typedef {object} DockerHostConfig
+ * @property {string} name - Daemon name, written as the `docker_host` tag
+ * @property {string} [socketPath] - Unix socket path (socket endpoints)
+ * @property {('http'|'https')} [protocol] - Protocol (TCP endpoints)
+ * @property {string} [host] - Host name or address (TCP endpoints)
+ * @property {number} [port] - Port (TCP endpoints)
+ * @property {object} [tls] - TLS settings (https endpoints)
+ * @property {boolean} tls.verify - Whether the daemon certificate is verified against ca.pem
+ * @property {string} tls.certPath - Directory with ca.pem, cert.pem and key.pem
+ */
 
 /**
  * @typedef {object} DockerConfig
  * @property {string} socketPath - Path to Docker socket
+ * @property {DockerHostConfig[]} hosts - Daemons to collect from
  * @property {object} stats - Stats processing configuration
  * @property {number} stats.maxBufferSize - Maximum buffer size in bytes
  * @property {number} stats.maxLineSize - Maximum line size in bytes
  * @property {number} stats.parseTimeoutMs - Parse timeout in milliseconds
  * @property {string[]} stats.fields - Fields to record (empty array means all fields)
+ * @property {string} stats.recordDir - Directory receiving raw stats frames (empty = disabled)
+ * @property {number} stats.recordMaxSize - Maximum size of a container recording in bytes (0 = no limit)
+ * @property {object} collection - How container stats are collected
+ * @property {('stream'|'poll')} collection.mode - Persistent stats streams or periodic one-shot requests
+ * @property {number} collection.pollIntervalMs - Delay between polling rounds
+ * @property {number} collection.pollConcurrency - Maximum concurrent stats requests per Docker host
+ * @property {number} reconcileIntervalMs - Interval of the container/stream reconciliation (0 = disabled)
+ * @property {object} restart - Restarts of failed stats streams
+ * @property {number} restart.delayMs - Initial backoff delay before a restart
+ * @property {number} restart.maxDelayMs - Maximum backoff delay
+ * @property {number} restart.breakerThreshold - Failures within the window that open the circuit breaker
+ * @property {number} restart.breakerWindowMs - Length of the failure window
+ * @property {number} restart.breakerRetryMs - Delay between half-open retries while the breaker is open
+ * @property {ContainerFiltersConfig} filters - Container include/exclude rules
+ * @property {string[]} labelTags - Container labels written as `label_<name>` tags
+ * @property {object} events - Container event recording
+ * @property {boolean} events.enabled - Whether events are written to the docker_events measurement
+ * @property {string[]} events.actions - Recorded actions (`*` = all)
+ * @property {number} events.reconnectDelayMs - Initial delay before reopening a closed events stream
+ * @property {number} events.reconnectMaxDelayMs - Maximum delay between reconnect attempts
+ */
+
+/**
+ * @typedef {object} ContainerFiltersConfig
+ * @property {string[]} include - Rules a container must match one of (empty = all containers)
+ * @property {string[]} exclude - Rules excluding a container
  */
 
 /**
@@ -54,6 +172,10 @@ const ESSENTIAL_FIELDS = ['cpu_percent', 'mem_used', 'mem_total', 'net_in_bytes'
  * @property {string} username - InfluxDB username
  * @property {string} password - InfluxDB password
  * @property {string} database - InfluxDB database name
+ * @property {(1|2|3)} version - InfluxDB major version
+ * @property {string} token - InfluxDB 2.x/3.x API token
+ * @property {string} org - InfluxDB 2.x organization
+ * @property {string} bucket - InfluxDB 2.x bucket (database on 3.x)
  * @property {object} retry - Retry configuration
  * @property {number} retry.maxRetries - Maximum number of retries
  * @property {number} retry.initialDelayMs - Initial retry delay in ms
@@ -65,6 +187,47 @@ const ESSENTIAL_FIELDS = ['cpu_percent', 'mem_used', 'mem_total', 'net_in_bytes'
  * @typedef {object} BatchConfig
  * @property {number} maxSize - Maximum batch size
  * @property {number} maxWaitMs - Maximum wait time in ms
+ * @property {number} maxBufferedPoints - Maximum points held in memory (0 = no limit)
+ * @property {('drop_oldest'|'drop_newest'|'downsample')} overflowPolicy - What to drop once the buffer is full
+ * @property {number} downsampleFactor - Keep every Nth point per container when downsampling
+ * @property {number} highWaterMark - Buffered points at which the sink applies backpressure (0 = disabled)
+ * @property {number} lowWaterMark - Buffered points below which the sink releases backpressure
+ */
+
+/**
+ * @typedef {object} SpoolConfig
+ * @property {boolean} enabled - Whether points are spooled to disk while a sink is unavailable
+ * @property {string} directory - Base directory, each sink spools into its own subdirectory
+ * @property {number} maxSegmentBytes - Size after which a new segment file is started
+ * @property {number} maxTotalBytes - Maximum spool size per sink, oldest segments are dropped beyond it
+ * @property {number} maxAgeMs - Segments older than this are dropped
+ * @property {number} replayIntervalMs - Delay between attempts to replay the spool
+ */
+
+/**
+ * @typedef {object} HttpSinkConfig
+ * @property {string} url - Line protocol write endpoint
+ * @property {string} token - Bearer token sent with every request (empty = none)
+ * @property {string} healthUrl - URL requested by the health check (empty = no check)
+ * @property {InfluxConfig['retry']} retry - Retry configuration of writes
+ */
+
+/**
+ * @typedef {object} SinkConfig
+ * @property {string} name - Unique sink name (entry of METRICS_SINKS)
+ * @property {('influxdb'|'http')} type - Sink type
+ * @property {number} writeTimeoutMs - Timeout of a single write request
+ * @property {InfluxConfig} [influx] - InfluxDB configuration of `influxdb` sinks
+ * @property {HttpSinkConfig} [http] - Endpoint configuration of `http` sinks
+ * @property {BatchConfig} batch - Batch configuration of this sink
+ */
+
+/**
+ * @typedef {object} PrometheusConfig
+ * @property {boolean} enabled - Whether the /metrics exporter is enabled
+ * @property {string} host - Address the exporter listens on
+ * @property {number} port - Port the exporter listens on
+ * @property {string} path - HTTP path serving the metrics
  */
 
 /**
@@ -72,9 +235,17 @@ const ESSENTIAL_FIELDS = ['cpu_percent', 'mem_used', 'mem_total', 'net_in_bytes'
  * @property {boolean} isDocker - Whether running in Docker
  * @property {string} logLevel - Log level
  * @property {number} shutdownTimeoutMs - Shutdown timeout in ms
+ * @property {number} selfMetricsIntervalMs - Interval for writing self metrics to the sinks (0 = disabled)
+ * @property {number} aggregationWindowMs - Window for aggregating samples per container (0 = disabled)
+ * @property {boolean} derivedRates - Whether per-second rates are derived from cumulative counters
+ * @property {('flat'|'tagged'|'split')} statsSchema - Measurement layout of the stats points
+ * @property {boolean} blkioDeviceNames - Whether block devices are tagged with their name from sysfs
  * @property {DockerConfig} docker - Docker configuration
  * @property {InfluxConfig} influx - InfluxDB configuration
  * @property {BatchConfig} batch - Batch configuration
+ * @property {SinkConfig[]} sinks - Enabled metrics sinks
+ * @property {SpoolConfig} spool - Disk spool configuration
+ * @property {PrometheusConfig} prometheus - Prometheus exporter configuration
  */
 
 /**
@@ -111,6 +282,300 @@ function parseStatsFields() {
   return Array.from(fields);
 }
 
+/**
+ * Splits a comma-separated environment variable, dropping empty entries
+ * @param {string} value - Environment variable value
+ * @returns {string[]} List entries
+ */
+function splitList(value) {
+  return value
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses the container filter rules from CONTAINER_INCLUDE, CONTAINER_EXCLUDE
+ * and the optional CONTAINER_FILTERS_FILE, rules from both sources are combined
+ * @returns {ContainerFiltersConfig} Container filter rules
+ * @throws {Error} If the filters file cannot be read or is malformed
+ */
+function parseContainerFilters() {
+  const filters = {
+    include: splitList(CONTAINER_INCLUDE),
+    exclude: splitList(CONTAINER_EXCLUDE)
+  };
+
+  if (CONTAINER_FILTERS_FILE) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(CONTAINER_FILTERS_FILE, 'utf8'));
+    } catch (err) {
+      throw new Error(
+        `Failed to read CONTAINER_FILTERS_FILE ${CONTAINER_FILTERS_FILE}: ${err.message}`
+      );
+    }
+
+    for (const key of ['include', 'exclude']) {
+      const rules = file[key] ?? [];
+      assert(
+        Array.isArray(rules) && rules.every(rule => typeof rule === 'string'),
+        `"${key}" in CONTAINER_FILTERS_FILE must be an array of strings`
+      );
+      filters[key].push(...rules.map(rule => rule.trim()).filter(Boolean));
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Parses a Docker endpoint
+ * Endpoints are `unix:///path`, a plain socket path, `tcp://host[:port]` or
+ * `https://host[:port]`, optionally prefixed with `name=`. Without a name, TCP
+ * endpoints are named after their host and sockets after this machine.
+ * TCP endpoints use TLS for `https://`, port 2376 or when DOCKER_TLS_VERIFY is set
+ * @param {string} entry - Endpoint, e.g. `edge-1=tcp://10.0.0.5:2376`
+ * @param {string} source - Environment variable the endpoint comes from
+ * @returns {DockerHostConfig} Daemon endpoint
+ */
+function parseDockerHost(entry, source) {
+  const match = DOCKER_HOST_NAME_PATTERN.exec(entry);
+  const endpoint = match ? match[2] : entry;
+
+  if (endpoint.startsWith('/') || endpoint.startsWith('unix://')) {
+    return {
+      name: match?.[1] || os.hostname(),
+      socketPath: endpoint.replace(/^unix:\/\//, '')
+    };
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new Error(`Invalid Docker endpoint in ${source}: ${entry}`);
+  }
+  assert(
+    ['tcp:', 'http:', 'https:'].includes(url.protocol),
+    `Unsupported Docker endpoint protocol in ${source}: ${entry}`
+  );
+
+  // The Docker CLI only checks whether the variable is set, so DOCKER_TLS_VERIFY=0 enables it too
+  const tlsVerify = DOCKER_TLS_VERIFY !== '';
+  const useTls = tlsVerify || url.protocol === 'https:' || url.port === '2376';
+  const protocol = useTls ? 'https' : 'http';
+
+  return {
+    name: match?.[1] || url.hostname,
+    protocol,
+    host: url.hostname,
+    port: url.port ? parseInt(url.port, 10) : DOCKER_DEFAULT_PORTS[protocol],
+    ...(useTls && {
+      tls: {
+        verify: tlsVerify,
+        certPath: DOCKER_CERT_PATH || path.join(os.homedir(), '.docker')
+      }
+    })
+  };
+}
+
+/**
+ * Parses the Docker daemons to collect from
+ * DOCKER_HOSTS takes precedence over DOCKER_HOST, which takes precedence over DOCKER_SOCKET_PATH
+ * @returns {DockerHostConfig[]} Daemons to collect from
+ */
+function parseDockerHosts() {
+  const entries = splitList(DOCKER_HOSTS);
+  let hosts;
+  if (entries.length > 0) {
+    hosts = entries.map(entry => parseDockerHost(entry, 'DOCKER_HOSTS'));
+  } else if (DOCKER_HOST) {
+    hosts = [parseDockerHost(DOCKER_HOST, 'DOCKER_HOST')];
+  } else {
+    hosts = [{ name: os.hostname(), socketPath: DOCKER_SOCKET_PATH }];
+  }
+
+  const names = new Set(hosts.map(({ name }) => name));
+  assert(names.size === hosts.length, 'Docker host names in DOCKER_HOSTS must be unique');
+
+  return hosts;
+}
+
+/**
+ * Creates accessors for the SINK_<NAME>_<SETTING> overrides of a sink
+ * @param {string} name - Sink name from METRICS_SINKS
+ * @returns {{ prefix: string, env: function(string): (string | undefined), intEnv: function(string, number): number }} Override accessors
+ */
+function createSinkEnv(name) {
+  const prefix = `SINK_${name.toUpperCase()}_`;
+  const env = key => process.env[`${prefix}${key}`];
+  const intEnv = (key, fallback) => {
+    if (env(key) === undefined) {
+      return fallback;
+    }
+    const value = parseInt(env(key), 10);
+    assert(!Number.isNaN(value), `Invalid ${prefix}${key} value`);
+    return value;
+  };
+  return { prefix, env, intEnv };
+}
+
+/**
+ * Builds the InfluxDB settings of an `influxdb` sink
+ * @param {string} name - Sink name from METRICS_SINKS
+ * @param {(1|2|3)} version - InfluxDB major version of the sink
+ * @param {ReturnType<typeof createSinkEnv>} sinkEnv - Override accessors of the sink
+ * @param {InfluxConfig} influx - Shared InfluxDB configuration
+ * @returns {InfluxConfig} InfluxDB settings of the sink
+ */
+function buildSinkInflux(name, version, sinkEnv, influx) {
+  const { env, intEnv } = sinkEnv;
+  const sinkInflux = {
+    host: env('HOST') || influx.host,
+    port: intEnv('PORT', influx.port),
+    protocol: /** @type {('http'|'https')} */ (env('PROTOCOL') || influx.protocol),
+    username: env('USER') ?? influx.username,
+    password: env('PASS') ?? influx.password,
+    database: env('DB') || influx.database,
+    version,
+    token: env('TOKEN') || influx.token,
+    org: env('ORG') || influx.org,
+    bucket: env('BUCKET') || influx.bucket,
+    retry: buildSinkRetry(sinkEnv, influx.retry)
+  };
+
+  if (version >= 2) {
+    assert(sinkInflux.token, `A token is required for sink ${name} (INFLUXDB_TOKEN)`);
+  }
+  if (version === 2) {
+    assert(sinkInflux.org, `An org is required for sink ${name} (INFLUXDB_ORG)`);
+  }
+
+  return sinkInflux;
+}
+
+/**
+ * Builds the retry settings of a sink from the shared INFLUXDB_RETRY_* settings
+ * @param {ReturnType<typeof createSinkEnv>} sinkEnv - Override accessors of the sink
+ * @param {InfluxConfig['retry']} retry - Shared retry configuration
+ * @returns {InfluxConfig['retry']} Retry settings of the sink
+ */
+function buildSinkRetry({ intEnv }, retry) {
+  return {
+    ...retry,
+    maxRetries: intEnv('RETRY_MAX', retry.maxRetries),
+    initialDelayMs: intEnv('RETRY_DELAY', retry.initialDelayMs),
+    maxDelayMs: intEnv('RETRY_MAX_DELAY', retry.maxDelayMs)
+  };
+}
+
+/**
+ * Builds the endpoint settings of an `http` sink
+ * @param {string} name - Sink name from METRICS_SINKS
+ * @param {ReturnType<typeof createSinkEnv>} sinkEnv - Override accessors of the sink
+ * @param {InfluxConfig} influx - Shared InfluxDB configuration, provides the retry settings
+ * @returns {HttpSinkConfig} Endpoint settings of the sink
+ */
+function buildSinkHttp(name, sinkEnv, influx) {
+  const { prefix, env } = sinkEnv;
+  const url = env('URL') || '';
+  assert(URL.canParse(url), `A valid URL is required for sink ${name} (${prefix}URL)`);
+  const healthUrl = env('HEALTH_URL') || '';
+  assert(
+    !healthUrl || URL.canParse(healthUrl),
+    `Invalid health check URL for sink ${name} (${prefix}HEALTH_URL)`
+  );
+  return {
+    url,
+    token: env('TOKEN') || '',
+    healthUrl,
+    retry: buildSinkRetry(sinkEnv, influx.retry)
+  };
+}
+
+/**
+ * Builds the configuration of a single sink
+ * Settings default to the shared INFLUXDB_*, BATCH_* and SINK_WRITE_TIMEOUT_MS values and can
+ * be overridden per sink with SINK_<NAME>_<SETTING> variables, e.g. SINK_INFLUXDB2_HOST
+ * @param {string} name - Sink name from METRICS_SINKS
+ * @param {InfluxConfig} influx - Shared InfluxDB configuration
+ * @param {BatchConfig} batch - Shared batch configuration
+ * @param {number} writeTimeoutMs - Shared write timeout
+ * @returns {SinkConfig} Sink configuration
+ */
+function buildSinkConfig(name, influx, batch, writeTimeoutMs) {
+  const influxMatch = INFLUX_SINK_PATTERN.exec(name);
+  assert(influxMatch || HTTP_SINK_PATTERN.test(name), `Unknown sink in METRICS_SINKS: ${name}`);
+
+  const sinkEnv = createSinkEnv(name);
+  const { prefix, env, intEnv } = sinkEnv;
+
+  const sinkWriteTimeoutMs = intEnv('WRITE_TIMEOUT_MS', writeTimeoutMs);
+  assert(sinkWriteTimeoutMs > 0, `Invalid ${prefix}WRITE_TIMEOUT_MS value`);
+
+  // A sink specific high-water mark brings its own default low-water mark
+  const highWaterMark = intEnv('BATCH_HIGH_WATER_MARK', batch.highWaterMark);
+  const lowWaterMark = intEnv(
+    'BATCH_LOW_WATER_MARK',
+    env('BATCH_HIGH_WATER_MARK') === undefined ? batch.lowWaterMark : Math.floor(highWaterMark / 2)
+  );
+  assert(
+    highWaterMark === 0 || (lowWaterMark >= 0 && lowWaterMark < highWaterMark),
+    `The low-water mark of sink ${name} must be below its high-water mark (BATCH_LOW_WATER_MARK)`
+  );
+
+  const sinkBatch = {
+    ...batch,
+    maxSize: intEnv('BATCH_SIZE', batch.maxSize),
+    maxWaitMs: intEnv('BATCH_WAIT_MS', batch.maxWaitMs),
+    maxBufferedPoints: intEnv('BATCH_MAX_BUFFERED_POINTS', batch.maxBufferedPoints),
+    highWaterMark,
+    lowWaterMark
+  };
+
+  if (!influxMatch) {
+    return {
+      name,
+      type: 'http',
+      writeTimeoutMs: sinkWriteTimeoutMs,
+      http: buildSinkHttp(name, sinkEnv, influx),
+      batch: sinkBatch
+    };
+  }
+
+  const version = /** @type {(1|2|3)} */ (
+    influxMatch[1] ? parseInt(influxMatch[1], 10) : influx.version
+  );
+  return {
+    name,
+    type: 'influxdb',
+    writeTimeoutMs: sinkWriteTimeoutMs,
+    influx: buildSinkInflux(name, version, sinkEnv, influx),
+    batch: sinkBatch
+  };
+}
+
+/**
+ * Parses the METRICS_SINKS environment variable
+ * @param {InfluxConfig} influx - Shared InfluxDB configuration
+ * @param {BatchConfig} batch - Shared batch configuration
+ * @returns {SinkConfig[]} Configuration of every enabled sink
+ */
+function parseSinks(influx, batch) {
+  const names = new Set(
+    METRICS_SINKS.split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+  );
+  assert(names.size > 0, 'METRICS_SINKS must name at least one sink');
+
+  const writeTimeoutMs = parseInt(SINK_WRITE_TIMEOUT_MS, 10);
+  assert(writeTimeoutMs > 0, 'Invalid SINK_WRITE_TIMEOUT_MS value');
+
+  return Array.from(names, name => buildSinkConfig(name, influx, batch, writeTimeoutMs));
+}
+
 /**
  * Validates and initializes the configuration
  * @returns {Config} The validated configuration object
@@ -136,36 +601,140 @@ function initConfig() {
   const influxPort = parseInt(INFLUXDB_PORT, 10);
   assert(!Number.isNaN(influxPort), 'Invalid INFLUXDB_PORT value');
 
+  const influxVersion = /** @type {(1|2|3)} */ (parseInt(INFLUXDB_VERSION, 10));
+  assert(INFLUX_VERSIONS.includes(influxVersion), 'Invalid INFLUXDB_VERSION value (1, 2 or 3)');
+
+  /** @type {InfluxConfig} */
+  const influx = {
+    host: influxHost,
+    port: influxPort,
+    protocol: /** @type {('http'|'https')} */ (INFLUXDB_PROTOCOL),
+    username: INFLUXDB_USER,
+    password: INFLUXDB_PASS,
+    database: INFLUXDB_DB,
+    version: influxVersion,
+    token: INFLUXDB_TOKEN,
+    org: INFLUXDB_ORG,
+    bucket: INFLUXDB_BUCKET || INFLUXDB_DB,
+    retry: {
+      maxRetries: parseInt(INFLUXDB_RETRY_MAX, 10),
+      initialDelayMs: parseInt(INFLUXDB_RETRY_DELAY, 10),
+      maxDelayMs: parseInt(INFLUXDB_RETRY_MAX_DELAY, 10),
+      backoffFactor: 2
+    }
+  };
+
+  /** @type {BatchConfig} */
+  const batch = {
+    maxSize: parseInt(BATCH_SIZE, 10),
+    maxWaitMs: parseInt(BATCH_WAIT_MS, 10),
+    maxBufferedPoints: parseInt(BATCH_MAX_BUFFERED_POINTS, 10),
+    overflowPolicy: /** @type {BatchConfig['overflowPolicy']} */ (BATCH_OVERFLOW_POLICY),
+    downsampleFactor: parseInt(BATCH_DOWNSAMPLE_FACTOR, 10),
+    highWaterMark: parseInt(BATCH_HIGH_WATER_MARK, 10),
+    lowWaterMark: BATCH_LOW_WATER_MARK
+      ? parseInt(BATCH_LOW_WATER_MARK, 10)
+      : Math.floor(parseInt(BATCH_HIGH_WATER_MARK, 10) / 2)
+  };
+  assert(
+    OVERFLOW_POLICIES.includes(batch.overflowPolicy),
+    `Invalid BATCH_OVERFLOW_POLICY value (${OVERFLOW_POLICIES.join(', ')})`
+  );
+  assert(batch.downsampleFactor >= 2, 'BATCH_DOWNSAMPLE_FACTOR must be at least 2');
+  assert(batch.highWaterMark >= 0, 'Invalid BATCH_HIGH_WATER_MARK value');
+
+  const aggregationWindowMs = parseInt(AGGREGATION_WINDOW_MS, 10);
+  assert(aggregationWindowMs >= 0, 'Invalid AGGREGATION_WINDOW_MS value');
+
+  const statsSchema = /** @type {('flat'|'tagged'|'split')} */ (STATS_SCHEMA);
+  assert(
+    STATS_SCHEMAS.includes(statsSchema),
+    `Invalid STATS_SCHEMA value (${STATS_SCHEMAS.join(', ')})`
+  );
+
+  const recordMaxSize = parseInt(STATS_RECORD_MAX_SIZE, 10);
+  assert(recordMaxSize >= 0, 'Invalid STATS_RECORD_MAX_SIZE value');
+
+  const collection = {
+    mode: /** @type {('stream'|'poll')} */ (COLLECTION_MODE),
+    pollIntervalMs: parseInt(POLL_INTERVAL_MS, 10),
+    pollConcurrency: parseInt(POLL_CONCURRENCY, 10)
+  };
+  assert(
+    COLLECTION_MODES.includes(collection.mode),
+    `Invalid COLLECTION_MODE value (${COLLECTION_MODES.join(', ')})`
+  );
+  assert(collection.pollIntervalMs > 0, 'POLL_INTERVAL_MS must be greater than 0');
+  assert(collection.pollConcurrency >= 1, 'POLL_CONCURRENCY must be at least 1');
+
+  const restart = {
+    delayMs: parseInt(STREAM_RESTART_DELAY_MS, 10),
+    maxDelayMs: parseInt(STREAM_RESTART_MAX_DELAY_MS, 10),
+    breakerThreshold: parseInt(STREAM_BREAKER_THRESHOLD, 10),
+    breakerWindowMs: parseInt(STREAM_BREAKER_WINDOW_MS, 10),
+    breakerRetryMs: parseInt(STREAM_BREAKER_RETRY_MS, 10)
+  };
+  assert(restart.delayMs >= 0, 'Invalid STREAM_RESTART_DELAY_MS value');
+  assert(
+    restart.maxDelayMs >= restart.delayMs,
+    'STREAM_RESTART_MAX_DELAY_MS must not be smaller than STREAM_RESTART_DELAY_MS'
+  );
+  assert(restart.breakerThreshold >= 1, 'STREAM_BREAKER_THRESHOLD must be at least 1');
+  assert(restart.breakerWindowMs > 0, 'STREAM_BREAKER_WINDOW_MS must be greater than 0');
+  assert(restart.breakerRetryMs > 0, 'STREAM_BREAKER_RETRY_MS must be greater than 0');
+
+  const prometheusPort = parseInt(PROMETHEUS_PORT, 10);
+  assert(!Number.isNaN(prometheusPort), 'Invalid PROMETHEUS_PORT value');
+  assert(PROMETHEUS_PATH.startsWith('/'), 'PROMETHEUS_PATH must start with "/"');
+
   return {
     isDocker,
     logLevel,
     shutdownTimeoutMs: parseInt(SHUTDOWN_TIMEOUT_MS, 10),
+    selfMetricsIntervalMs: parseInt(SELF_METRICS_INTERVAL_MS, 10),
+    aggregationWindowMs,
+    derivedRates: DERIVED_RATES === 'true',
+    statsSchema,
+    blkioDeviceNames: BLKIO_DEVICE_NAMES === 'true',
     docker: {
       socketPath: DOCKER_SOCKET_PATH,
+      hosts: parseDockerHosts(),
       stats: {
         maxBufferSize: parseInt(STATS_BUFFER_SIZE, 10),
         maxLineSize: parseInt(STATS_LINE_SIZE, 10),
         parseTimeoutMs: parseInt(STATS_PARSE_TIMEOUT, 10),
-        fields: parseStatsFields()
+        fields: parseStatsFields(),
+        recordDir: STATS_RECORD_DIR,
+        recordMaxSize
+      },
+      collection,
+      reconcileIntervalMs: parseInt(RECONCILE_INTERVAL_MS, 10),
+      restart,
+      filters: parseContainerFilters(),
+      labelTags: splitList(CONTAINER_LABEL_TAGS),
+      events: {
+        enabled: DOCKER_EVENTS_ENABLED === 'true',
+        actions: splitList(DOCKER_EVENTS_ACTIONS),
+        reconnectDelayMs: parseInt(DOCKER_EVENTS_RECONNECT_DELAY_MS, 10),
+        reconnectMaxDelayMs: parseInt(DOCKER_EVENTS_RECONNECT_MAX_DELAY_MS, 10)
       }
     },
-    influx: {
-      host: influxHost,
-      port: influxPort,
-      protocol: /** @type {('http'|'https')} */ (INFLUXDB_PROTOCOL),
-      username: INFLUXDB_USER,
-      password: INFLUXDB_PASS,
-      database: INFLUXDB_DB,
-      retry: {
-        maxRetries: parseInt(INFLUXDB_RETRY_MAX, 10),
-        initialDelayMs: parseInt(INFLUXDB_RETRY_DELAY, 10),
-        maxDelayMs: parseInt(INFLUXDB_RETRY_MAX_DELAY, 10),
-        backoffFactor: 2
-      }
+    influx,
+    batch,
+    sinks: parseSinks(influx, batch),
+    spool: {
+      enabled: SPOOL_ENABLED === 'true',
+      directory: SPOOL_DIR,
+      maxSegmentBytes: parseInt(SPOOL_SEGMENT_BYTES, 10),
+      maxTotalBytes: parseInt(SPOOL_MAX_BYTES, 10),
+      maxAgeMs: parseInt(SPOOL_MAX_AGE_MS, 10),
+      replayIntervalMs: parseInt(SPOOL_REPLAY_INTERVAL_MS, 10)
     },
-    batch: {
-      maxSize: parseInt(BATCH_SIZE, 10),
-      maxWaitMs: parseInt(BATCH_WAIT_MS, 10)
+    prometheus: {
+      enabled: PROMETHEUS_ENABLED === 'true',
+      host: PROMETHEUS_HOST,
+      port: prometheusPort,
+      path: PROMETHEUS_PATH
     }
   };
 }
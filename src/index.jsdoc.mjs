@@ -26,11 +26,60 @@
  * @property {string} [INFLUXDB_USER=admin] - InfluxDB username
  * @property {string} [INFLUXDB_PASS=admin] - InfluxDB password
  * @property {string} [INFLUXDB_DB=docker-stats] - InfluxDB database name
+ * @property {number} [INFLUXDB_VERSION=1] - InfluxDB major version (1, 2 or 3)
+ * @property {string} [INFLUXDB_TOKEN] - InfluxDB 2.x/3.x API token
+ * @property {string} [INFLUXDB_ORG] - InfluxDB 2.x organization
+ * @property {string} [INFLUXDB_BUCKET=INFLUXDB_DB] - InfluxDB 2.x bucket (database on 3.x)
  * @property {number} [INFLUXDB_RETRY_MAX=5] - Maximum number of retry attempts
  * @property {number} [INFLUXDB_RETRY_DELAY=1000] - Initial retry delay in milliseconds
  * @property {number} [INFLUXDB_RETRY_MAX_DELAY=10000] - Maximum retry delay in milliseconds
  * @property {number} [BATCH_SIZE=100] - Maximum number of points in a metrics batch
  * @property {number} [BATCH_WAIT_MS=2000] - Maximum time to wait before flushing batch
+ * @property {number} [BATCH_MAX_BUFFERED_POINTS=100000] - Maximum points held in memory per sink (0 = no limit)
+ * @property {string} [BATCH_OVERFLOW_POLICY=drop_oldest] - drop_oldest, drop_newest or downsample
+ * @property {number} [BATCH_DOWNSAMPLE_FACTOR=2] - Keep every Nth point per container when downsampling
+ * @property {number} [BATCH_HIGH_WATER_MARK=0] - Buffered points per sink that apply backpressure (0 = disabled)
+ * @property {number} [BATCH_LOW_WATER_MARK] - Buffered points per sink that release backpressure (default: half the high-water mark)
+ * @property {number} [SELF_METRICS_INTERVAL_MS=60000] - Interval for writing self metrics (0 = disabled)
+ * @property {number} [AGGREGATION_WINDOW_MS=0] - Aggregate samples per container over this window (0 = disabled)
+ * @property {boolean} [DERIVED_RATES=false] - Add per-second rates of cumulative counters
+ * @property {string} [STATS_SCHEMA=flat] - flat, tagged for per-interface, per-CPU and per-device measurements, or split for one measurement per resource
+ * @property {boolean} [BLKIO_DEVICE_NAMES=false] - Tag per-device block I/O with the device name from /sys/dev/block
+ * @property {string} [METRICS_SINKS=influxdb] - Comma-separated list of metrics sinks
+ * @property {number} [SINK_WRITE_TIMEOUT_MS=10000] - Timeout of a single write request of a sink
+ * @property {boolean} [SPOOL_ENABLED=false] - Spool points to disk while a sink is unavailable
+ * @property {string} [SPOOL_DIR=./data/spool] - Base directory of the disk spool
+ * @property {number} [SPOOL_SEGMENT_BYTES=8388608] - Size of a single spool segment file
+ * @property {number} [SPOOL_MAX_BYTES=268435456] - Maximum spool size per sink
+ * @property {number} [SPOOL_MAX_AGE_MS=86400000] - Maximum age of spooled segments
+ * @property {number} [SPOOL_REPLAY_INTERVAL_MS=5000] - Delay between spool replay attempts
+ * @property {boolean} [PROMETHEUS_ENABLED=false] - Serve a Prometheus /metrics endpoint
+ * @property {string} [PROMETHEUS_HOST=0.0.0.0] - Address the Prometheus exporter listens on
+ * @property {number} [PROMETHEUS_PORT=9487] - Port the Prometheus exporter listens on
+ * @property {string} [PROMETHEUS_PATH=/metrics] - HTTP path serving the Prometheus metrics
+ * @property {string} [DOCKER_HOST] - Docker daemon endpoint (unix:// or tcp://), overrides DOCKER_SOCKET_PATH
+ * @property {string} [DOCKER_TLS_VERIFY] - Use TLS and verify the daemon certificate, any non-empty value (even 0) enables it
+ * @property {string} [DOCKER_CERT_PATH=~/.docker] - Directory with ca.pem, cert.pem and key.pem
+ * @property {string} [DOCKER_HOSTS] - Comma-separated [name=]endpoint list of Docker daemons
+ * @property {string} [STATS_RECORD_DIR] - Directory receiving raw stats frames for replay (empty = disabled)
+ * @property {number} [STATS_RECORD_MAX_SIZE=104857600] - Maximum size of a container recording in bytes (0 = no limit)
+ * @property {string} [COLLECTION_MODE=stream] - stream (persistent stats streams) or poll (one-shot requests)
+ * @property {number} [POLL_INTERVAL_MS=10000] - Delay between polling rounds
+ * @property {number} [POLL_CONCURRENCY=10] - Maximum concurrent stats requests per Docker host
+ * @property {number} [RECONCILE_INTERVAL_MS=60000] - Interval of the container/stream reconciliation (0 = disabled)
+ * @property {number} [STREAM_RESTART_DELAY_MS=1000] - Initial delay before restarting a failed stats stream
+ * @property {number} [STREAM_RESTART_MAX_DELAY_MS=60000] - Maximum delay between stats stream restarts
+ * @property {number} [STREAM_BREAKER_THRESHOLD=5] - Stream failures within the window that park a container
+ * @property {number} [STREAM_BREAKER_WINDOW_MS=300000] - Window in which stream failures are counted
+ * @property {number} [STREAM_BREAKER_RETRY_MS=300000] - Delay between retries of a parked container
+ * @property {string} [CONTAINER_INCLUDE] - Comma-separated rules a container must match one of
+ * @property {string} [CONTAINER_EXCLUDE] - Comma-separated rules excluding a container
+ * @property {string} [CONTAINER_FILTERS_FILE] - JSON file with include/exclude rule lists
+ * @property {string} [CONTAINER_LABEL_TAGS] - Comma-separated container labels written as tags
+ * @property {boolean} [DOCKER_EVENTS_ENABLED=false] - Write container events to the docker_events measurement
+ * @property {string} [DOCKER_EVENTS_ACTIONS] - Comma-separated event actions to record (* = all)
+ * @property {number} [DOCKER_EVENTS_RECONNECT_DELAY_MS=1000] - Initial delay before reopening the events stream
+ * @property {number} [DOCKER_EVENTS_RECONNECT_MAX_DELAY_MS=30000] - Maximum delay between reconnect attempts
  * @property {number} [SHUTDOWN_TIMEOUT_MS=10000] - Maximum time to wait for graceful shutdown
  */
 export const ENV = process.env;
@@ -19,64 +19,141 @@ import { config } from './config/config.mjs';
 import { createDockerEventsManager } from './services/docker/events.mjs';
 import { createContainerWatcher } from './services/docker/containers.mjs';
 import { createMetricsHandler } from './services/metrics/handler.mjs';
+import { createPrometheusExporter } from './services/metrics/prometheus.mjs';
 import { createGracefulShutdown } from './utils/shutdown.mjs';
 
 // Initialize graceful shutdown handler
 const shutdown = createGracefulShutdown({ timeout: config.shutdownTimeoutMs });
 
+/** @type {Set<ReturnType<typeof createContainerWatcher>>} Watchers paused and resumed by sink backpressure */
+const containerWatchers = new Set();
+
 /**
- * Main application bootstrap
- * Initializes services, sets up monitoring, and starts the application
- * @async
+ * Starts watching containers and events of one Docker daemon
+ * @param {import('@types/config.mjs').DockerHostConfig} dockerHost - Daemon to collect from
+ * @param {ReturnType<typeof createMetricsHandler>} metricsHandler - Metrics handler
+ * @param {ReturnType<typeof createPrometheusExporter> | null} prometheusExporter - Optional Prometheus exporter
+ * @returns {Promise<void>}
+ * @throws {Error} If the daemon cannot be accessed
  */
-(async function main() {
-  try {
-    // Initialize shutdown handler
-    shutdown.init();
-
-    // Initialize metrics handler
-    const metricsHandler = createMetricsHandler(config);
-    await metricsHandler.initDatabase(config.influx.database);
+async function startDockerHost(dockerHost, metricsHandler, prometheusExporter) {
+  /**
+   * Drops the per-container state of a container that is no longer watched
+   * @param {string} containerId - Container ID
+   */
+  const forgetContainer = containerId => {
+    metricsHandler.forgetContainer(dockerHost.name, containerId);
+    prometheusExporter?.remove(dockerHost.name, containerId);
+  };
 
-    // Initialize container watcher
-    const containerWatcher = createContainerWatcher(
-      async (containerId, containerName, parsedStats) => {
-        await metricsHandler.handleStats(containerId, containerName, parsedStats);
-      }
-    );
+  // Initialize container watcher
+  const containerWatcher = createContainerWatcher(
+    async (containerId, containerName, parsedStats, metadata) => {
+      prometheusExporter?.update(dockerHost.name, containerId, containerName, parsedStats);
+      await metricsHandler.handleStats(containerId, containerName, parsedStats, metadata);
+    },
+    dockerHost,
+    forgetContainer
+  );
+  containerWatchers.add(containerWatcher);
+  if (metricsHandler.isUnderPressure()) {
+    containerWatcher.pause();
+  }
 
-    // Initialize events manager
-    const eventsManager = createDockerEventsManager({
+  // Initialize events manager
+  const eventsManager = createDockerEventsManager(
+    {
       onContainerStart: async (containerId, containerName) => {
         await containerWatcher.watchContainer(containerId, containerName);
       },
       onContainerStop: async containerId => {
         containerWatcher.unwatchContainer(containerId);
+        forgetContainer(containerId);
+      },
+      onEvent: async event => {
+        await metricsHandler.handleEvent(event, { docker_host: dockerHost.name });
       }
-    });
+    },
+    dockerHost
+  );
 
-    // Validate Docker access
-    await eventsManager.validateAccess();
+  shutdown.register(`events-manager:${dockerHost.name}`, async () => {
+    await eventsManager.stopMonitoring();
+  });
 
-    // Watch running containers
-    await containerWatcher.watchRunningContainers();
+  shutdown.register(`container-watcher:${dockerHost.name}`, async () => {
+    await containerWatcher.shutdown();
+  });
 
-    // Start monitoring Docker events
-    await eventsManager.startMonitoring();
+  // Validate Docker access
+  await eventsManager.validateAccess();
 
-    // Register shutdown handlers
-    shutdown.register('events-manager', async () => {
-      await eventsManager.stopMonitoring();
+  // Watch running containers
+  await containerWatcher.watchRunningContainers();
+
+  // Start monitoring Docker events
+  await eventsManager.startMonitoring();
+
+  // Periodically fix containers and streams that got out of sync
+  containerWatcher.startReconciliation();
+}
+
+/**
+ * Main application bootstrap
+ * Initializes services, sets up monitoring, and starts the application
+ * @async
+ */
+(async function main() {
+  try {
+    // Initialize shutdown handler
+    shutdown.init();
+
+    // Initialize metrics handler
+    const metricsHandler = createMetricsHandler(config, {
+      onPressureChange: underPressure => {
+        for (const containerWatcher of containerWatchers) {
+          if (underPressure) {
+            containerWatcher.pause();
+          } else {
+            containerWatcher.resume();
+          }
+        }
+      }
     });
+    await metricsHandler.init();
+
+    // Initialize optional Prometheus exporter
+    const prometheusExporter = config.prometheus.enabled
+      ? createPrometheusExporter(config.prometheus)
+      : null;
+    await prometheusExporter?.start();
 
-    shutdown.register('container-watcher', async () => {
-      await containerWatcher.shutdown();
+    // Start collecting from every Docker daemon, daemons that cannot be reached are skipped
+    const results = await Promise.allSettled(
+      config.docker.hosts.map(dockerHost =>
+        startDockerHost(dockerHost, metricsHandler, prometheusExporter)
+      )
+    );
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        log.error(`Docker host ${config.docker.hosts[index].name} is disabled:`, result.reason);
+      }
     });
+    if (results.every(result => result.status === 'rejected')) {
+      throw new Error('No Docker host could be reached');
+    }
 
+    // Register shutdown handlers
     shutdown.register('metrics-handler', async () => {
       await metricsHandler.shutdown();
     });
 
+    if (prometheusExporter) {
+      shutdown.register('prometheus-exporter', async () => {
+        await prometheusExporter.stop();
+      });
+    }
+
     log.info('Docker stats service is running. Press Ctrl+C to stop.');
   } catch (err) {
     log.error('Fatal error initializing:', err);
@@ -0,0 +1,72 @@
+/**
+ * Docker Stats Service - Replay
+ *
+ * Replays raw stats frames captured with STATS_RECORD_DIR through the same parsing
+ * pipeline as live streams, so parser issues can be reproduced without a Docker daemon.
+ * Parsed samples are printed as NDJSON, or handed to the metrics handler and written
+ * to the configured sinks with --sinks.
+ *
+ * Usage: pnpm replay [--speed <factor>] [--sinks] <file|directory>...
+ * @module docker-stats-service/replay
+ */
+
+import { parseArgs } from 'node:util';
+import log from 'loglevel';
+import { config } from './config/config.mjs';
+import { readRecordings, replayFrames } from './services/docker/replay.mjs';
+import { createMetricsHandler } from './services/metrics/handler.mjs';
+
+const USAGE = 'Usage: pnpm replay [--speed <factor>] [--sinks] <file|directory>...';
+
+/**
+ * Replay entry point
+ * @async
+ */
+(async function main() {
+  try {
+    const { values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        speed: { type: 'string', default: '1' },
+        sinks: { type: 'boolean', default: false }
+      }
+    });
+
+    const speed = Number(values.speed);
+    if (positionals.length === 0 || Number.isNaN(speed) || speed < 0) {
+      throw new Error(USAGE);
+    }
+
+    const metricsHandler = values.sinks ? createMetricsHandler(config) : null;
+    await metricsHandler?.init();
+
+    const frames = await readRecordings(positionals);
+    log.info(`Replaying ${frames.length} frames at speed=${speed || 'unlimited'}`);
+
+    const summary = await replayFrames(frames, {
+      speed,
+      onStats: async (containerId, containerName, parsedStats, metadata) => {
+        if (metricsHandler) {
+          await metricsHandler.handleStats(containerId, containerName, parsedStats, metadata);
+          return;
+        }
+        const sample = {
+          container_id: containerId,
+          container_name: containerName,
+          ...metadata,
+          ...parsedStats
+        };
+        process.stdout.write(`${JSON.stringify(sample)}\n`);
+      }
+    });
+
+    await metricsHandler?.shutdown();
+
+    log.info(
+      `Replayed ${summary.frames} frames: ${summary.samples} samples, ${summary.invalidLines} invalid lines`
+    );
+  } catch (err) {
+    log.error('Replay failed:', err);
+    process.exit(1);
+  }
+})();
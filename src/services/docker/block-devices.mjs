@@ -0,0 +1,44 @@
+/**
+ * Block Devices
+ * Resolves `major:minor` device numbers of block I/O stats to kernel device names
+ * @module services/docker/block-devices
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import log from 'loglevel';
+
+const DEVNAME_PATTERN = /^DEVNAME=(.+)$/m;
+
+/**
+ * Creates a resolver for block device names
+ * Names are read once per device from `<sysfsPath>/<major>:<minor>/uevent` and cached,
+ * devices that cannot be resolved are cached as unknown
+ * @param {object} [options] - Resolver options
+ * @param {string} [options.sysfsPath] - Directory listing the block devices by number
+ * @returns {function(string): (string | undefined)} Resolves `major:minor` to a name like `sda`
+ * @example
+ * const resolveDeviceName = createBlockDeviceResolver();
+ * resolveDeviceName('8:0'); // 'sda'
+ */
+export function createBlockDeviceResolver({ sysfsPath = '/sys/dev/block' } = {}) {
+  /** @type {Map<string, string | undefined>} Device number -> name */
+  const names = new Map();
+
+  return device => {
+    if (names.has(device)) {
+      return names.get(device);
+    }
+
+    let name;
+    try {
+      const uevent = fs.readFileSync(path.join(sysfsPath, device, 'uevent'), 'utf8');
+      name = DEVNAME_PATTERN.exec(uevent)?.[1];
+    } catch (err) {
+      log.debug(`Cannot resolve block device ${device}: ${err.message}`);
+    }
+
+    names.set(device, name);
+    return name;
+  };
+}
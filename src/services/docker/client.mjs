@@ -0,0 +1,85 @@
+/**
+ * Docker Client
+ * Creates Docker API clients for the configured daemons
+ * @module services/docker/client
+ */
+
+import fs from 'node:fs';
+import https from 'node:https';
+import path from 'node:path';
+import log from 'loglevel';
+import Docker from 'dockerode';
+
+/**
+ * @typedef {import('@types/config.mjs').DockerHostConfig} DockerHostConfig
+ */
+
+/**
+ * Reads a TLS file from the certificate directory
+ * @param {string} certPath - Certificate directory
+ * @param {string} file - File name, e.g. `ca.pem`
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Buffer | undefined} File content
+ * @throws {Error} If a required file cannot be read
+ */
+function readTlsFile(certPath, file, required) {
+  const fullPath = path.join(certPath, file);
+  try {
+    return fs.readFileSync(fullPath);
+  } catch (err) {
+    if (required || err.code !== 'ENOENT') {
+      throw new Error(`Cannot read Docker TLS file ${fullPath}: ${err.message}`);
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Creates a Docker API client for a daemon
+ * With TLS verification all of `ca.pem`, `cert.pem` and `key.pem` are required,
+ * like the Docker CLI; without it, client certificates are used if present
+ * @param {DockerHostConfig} dockerHost - Daemon endpoint
+ * @returns {Docker} Docker client
+ * @throws {Error} If a TLS file cannot be read
+ * @example
+ * const docker = createDockerClient({ name: 'edge-1', protocol: 'http', host: '10.0.0.5', port: 2375 });
+ */
+export function createDockerClient(dockerHost) {
+  if (dockerHost.socketPath) {
+    return new Docker({ socketPath: dockerHost.socketPath });
+  }
+
+  const options = {
+    protocol: dockerHost.protocol,
+    host: dockerHost.host,
+    port: dockerHost.port
+  };
+
+  if (dockerHost.tls) {
+    const { verify, certPath } = dockerHost.tls;
+    options.ca = readTlsFile(certPath, 'ca.pem', verify);
+    options.cert = readTlsFile(certPath, 'cert.pem', verify);
+    options.key = readTlsFile(certPath, 'key.pem', verify);
+
+    if (!verify) {
+      log.warn(`TLS certificate of Docker daemon ${dockerHost.name} is not verified`);
+      // Agent options take precedence over the per-request TLS options
+      options.agent = new https.Agent({ rejectUnauthorized: false });
+    }
+  }
+
+  return new Docker(options);
+}
+
+/**
+ * Describes a daemon endpoint for log messages
+ * @param {DockerHostConfig} dockerHost - Daemon endpoint
+ * @returns {string} Endpoint description, e.g. `edge-1 (tcp://10.0.0.5:2375)`
+ */
+export function describeDockerHost(dockerHost) {
+  if (dockerHost.socketPath) {
+    return `${dockerHost.name} (unix://${dockerHost.socketPath})`;
+  }
+  const scheme = dockerHost.protocol === 'https' ? 'https' : 'tcp';
+  return `${dockerHost.name} (${scheme}://${dockerHost.host}:${dockerHost.port})`;
+}
@@ -8,57 +8,262 @@
  * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
  */
 
+import path from 'node:path';
 import log from 'loglevel';
-import Docker from 'dockerode';
 import { config } from '../../config/config.mjs';
+import { createDockerClient } from './client.mjs';
 import { createStreamManager } from './stream-manager.mjs';
+import { createStatsPoller } from './poller.mjs';
+import { createStatsRecorder } from './recorder.mjs';
+import { createContainerFilter } from './filters.mjs';
+import { extractContainerTags } from './metadata.mjs';
+import { incrementCounter } from '../../utils/self-metrics.mjs';
+import { createCircuitBreaker } from '../../utils/circuit-breaker.mjs';
+import { calculateBackoff } from '../../utils/common.mjs';
 import { Readable } from 'stream';
 
 /**
- * Creates a container watcher instance
- * @param {function(string, string, ParsedStats): Promise<void>} onStats - Stats callback
+ * Restart bookkeeping of a container whose stats stream failed
+ * @typedef {object} RestartState
+ * @property {ReturnType<typeof createCircuitBreaker>} breaker - Circuit breaker of the container
+ * @property {ReturnType<typeof setTimeout> | null} timer - Pending restart
+ */
+
+/**
+ * Creates a container watcher instance for one Docker daemon
+ * @param {function(string, string, ParsedStats, Record<string, string>): Promise<void>} onStats - Stats callback, the last argument holds the container metadata tags
+ * @param {import('@types/config.mjs').DockerHostConfig} [dockerHost] - Daemon to watch, defaults to the first configured one
+ * @param {function(string): void} [onContainerGone] - Called with the ID of every container the watcher stops watching on its own, because it stopped, was removed or disappeared from the running containers
  * @returns {object} Container watcher functions and state management
  */
-export function createContainerWatcher(onStats) {
-  const docker = new Docker({ socketPath: config.docker.socketPath });
+export function createContainerWatcher(
+  onStats,
+  dockerHost = config.docker.hosts[0],
+  onContainerGone
+) {
+  const docker = createDockerClient(dockerHost);
+  const containerFilter = createContainerFilter(config.docker.filters);
+  /** @type {Map<string, Record<string, string>>} */
+  const containerTags = new Map();
+  /** @type {Map<string, RestartState>} */
+  const restarts = new Map();
   let containerWatcherShutdown = false;
+  let reconcileTimer = null;
+  let reconciling = false;
+
+  /**
+   * Passes stats on together with the cached metadata tags of the container
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @param {ParsedStats} parsedStats - Parsed Docker stats
+   * @returns {Promise<void>}
+   */
+  function handleStats(containerId, containerName, parsedStats) {
+    // A sample after a half-open retry proves the stream works again
+    restarts.get(containerId)?.breaker.recordSuccess();
+    return onStats(
+      containerId,
+      containerName,
+      parsedStats,
+      containerTags.get(containerId) || { docker_host: dockerHost.name }
+    );
+  }
+
+  const { recordDir, recordMaxSize } = config.docker.stats;
+  const recorder = recordDir
+    ? createStatsRecorder({
+        directory: path.join(recordDir, dockerHost.name),
+        maxSize: recordMaxSize,
+        getTags: containerId => containerTags.get(containerId) || { docker_host: dockerHost.name }
+      })
+    : null;
 
   // Create stream manager
   const streamManager = createStreamManager({
-    onStats,
+    onStats: handleStats,
     onStreamEnd: containerId => {
       log.debug(`Stream ended for container=${containerId}, checking container status`);
       checkContainerStatus(containerId).then(null);
-    }
+    },
+    stallTimeoutMs: config.docker.stats.parseTimeoutMs,
+    dockerHost: dockerHost.name,
+    recorder
   });
 
+  // In polling mode stats come from periodic one-shot requests instead of streams
+  const { collection } = config.docker;
+  const poller =
+    collection.mode === 'poll'
+      ? createStatsPoller({
+          docker,
+          onStats: handleStats,
+          onContainerGone: containerId => {
+            log.debug(`Polling ended for container=${containerId}, checking container status`);
+            checkContainerStatus(containerId).then(null);
+          },
+          intervalMs: collection.pollIntervalMs,
+          concurrency: collection.pollConcurrency,
+          timeoutMs: config.docker.stats.parseTimeoutMs,
+          dockerHost: dockerHost.name,
+          recorder
+        })
+      : null;
+  const collector = poller || streamManager;
+
   /**
-   * Checks if a container still exists and is running
-   * If it is, restarts the stats stream
+   * Returns the restart state of a container, creating it on first use
    * @param {string} containerId - Container ID
+   * @returns {RestartState} Restart state
    */
-  async function checkContainerStatus(containerId) {
-    if (containerWatcherShutdown) return;
+  function getRestartState(containerId) {
+    let restart = restarts.get(containerId);
+    if (!restart) {
+      const { restart: options } = config.docker;
+      restart = {
+        timer: null,
+        breaker: createCircuitBreaker({
+          failureThreshold: options.breakerThreshold,
+          failureWindowMs: options.breakerWindowMs,
+          openDurationMs: options.breakerRetryMs,
+          onStateChange: (state, previous) => logBreakerState(containerId, state, previous)
+        })
+      };
+      restarts.set(containerId, restart);
+    }
+    return restart;
+  }
 
-    try {
-      const container = docker.getContainer(containerId);
-      const info = await container.inspect();
+  /**
+   * Logs and counts a circuit breaker transition
+   * @param {string} containerId - Container ID
+   * @param {import('../../utils/circuit-breaker.mjs').CircuitState} state - New breaker state
+   * @param {import('../../utils/circuit-breaker.mjs').CircuitState} previous - Previous breaker state
+   */
+  function logBreakerState(containerId, state, previous) {
+    const { restart: options } = config.docker;
+    incrementCounter('circuit_breaker_transitions', { docker_host: dockerHost.name, state });
 
-      // Only restart if container is still running
+    if (state === 'open' && previous === 'half_open') {
+      log.warn(
+        `Circuit breaker open for container=${containerId}: retry failed, parking it for ${options.breakerRetryMs}ms`
+      );
+    } else if (state === 'open') {
+      log.warn(
+        `Circuit breaker open for container=${containerId}: stats stream failed ${options.breakerThreshold} times within ${options.breakerWindowMs}ms, parking it for ${options.breakerRetryMs}ms`
+      );
+    } else if (state === 'half_open') {
+      log.info(`Circuit breaker half-open for container=${containerId}, retrying stats stream`);
+    } else {
+      log.info(`Circuit breaker closed for container=${containerId}, stats stream recovered`);
+    }
+  }
+
+  /**
+   * Cancels a pending restart and forgets the failures of a container
+   * @param {string} containerId - Container ID
+   */
+  function forgetRestarts(containerId) {
+    clearTimeout(restarts.get(containerId)?.timer);
+    restarts.delete(containerId);
+  }
+
+  /**
+   * Checks whether a restart of a container's stats stream is pending
+   * @param {string} containerId - Container ID
+   * @returns {boolean} True while waiting for a backoff delay or an open breaker
+   */
+  function isRestartPending(containerId) {
+    return Boolean(restarts.get(containerId)?.timer);
+  }
+
+  /**
+   * Inspects a container and returns its name if it is still running
+   * Containers that stopped or no longer exist are dropped
+   * @param {string} containerId - Container ID
+   * @returns {Promise<string | null>} Container name, or null if not running
+   */
+  async function getRunningContainerName(containerId) {
+    try {
+      const info = await docker.getContainer(containerId).inspect();
       if (info.State?.Running) {
-        log.info(`Container ${containerId} still running, restarting stats stream`);
-        const containerName = info.Name.replace(/^\//, '');
-        await watchContainer(containerId, containerName);
-      } else {
-        log.info(`Container ${containerId} no longer running, not restarting stream`);
+        return info.Name.replace(/^\//, '');
       }
+      log.info(`Container ${containerId} no longer running, not restarting stream`);
     } catch (err) {
       if (err.statusCode === 404) {
         log.info(`Container ${containerId} no longer exists`);
       } else {
         log.error(`Error checking container ${containerId} status:`, err);
+        return null;
       }
     }
+    dropContainer(containerId);
+    return null;
+  }
+
+  /**
+   * Records a stream failure and schedules the restart
+   * Restarts are delayed with exponential backoff over the failures within the breaker
+   * window; while the breaker is open the container is parked until the next half-open retry
+   * @param {string} containerId - Container ID
+   */
+  function scheduleRestart(containerId) {
+    const { restart: options } = config.docker;
+    const restart = getRestartState(containerId);
+    clearTimeout(restart.timer);
+    restart.breaker.recordFailure();
+
+    let delay;
+    if (restart.breaker.canAttempt()) {
+      const attempt = restart.breaker.getFailureCount();
+      delay = calculateBackoff({
+        attempt,
+        initialDelayMs: options.delayMs,
+        maxDelayMs: options.maxDelayMs
+      });
+      log.info(
+        `Container ${containerId} still running, restarting stats stream in ${delay}ms (attempt ${attempt})`
+      );
+    } else {
+      delay = restart.breaker.getRetryDelay();
+    }
+
+    restart.timer = setTimeout(() => {
+      restart.timer = null;
+      restartStream(containerId).then(null);
+    }, delay);
+    restart.timer.unref();
+  }
+
+  /**
+   * Restarts a container's stats stream if the container is still running
+   * @param {string} containerId - Container ID
+   * @returns {Promise<void>}
+   */
+  async function restartStream(containerId) {
+    if (containerWatcherShutdown) return;
+
+    // Turns an expired open breaker half-open before the trial
+    restarts.get(containerId)?.breaker.canAttempt();
+
+    const containerName = await getRunningContainerName(containerId);
+    if (containerName) {
+      await watchContainer(containerId, containerName);
+    }
+  }
+
+  /**
+   * Checks if a container still exists and is running
+   * If it is, schedules a restart of the stats stream
+   * @param {string} containerId - Container ID
+   */
+  async function checkContainerStatus(containerId) {
+    if (containerWatcherShutdown) return;
+
+    const containerName = await getRunningContainerName(containerId);
+    if (containerName && !containerWatcherShutdown) {
+      scheduleRestart(containerId);
+    }
   }
 
   /**
@@ -66,7 +271,46 @@ export function createContainerWatcher(onStats) {
    * @param {string} containerId - Container ID
    */
   function unwatchContainer(containerId) {
-    streamManager.removeStream(containerId);
+    if (poller) {
+      poller.removeContainer(containerId);
+    } else {
+      streamManager.removeStream(containerId);
+    }
+    containerTags.delete(containerId);
+    forgetRestarts(containerId);
+    recorder?.forget(containerId);
+  }
+
+  /**
+   * Inspects a container once and caches its metadata tags
+   * Stream restarts of the same container reuse the cached tags
+   * @param {import('dockerode').Container} container - Container handle
+   * @returns {Promise<void>}
+   */
+  async function cacheContainerTags(container) {
+    if (containerTags.has(container.id)) return;
+
+    try {
+      const info = await container.inspect();
+      containerTags.set(container.id, {
+        docker_host: dockerHost.name,
+        ...extractContainerTags(info, config.docker.labelTags)
+      });
+    } catch (err) {
+      log.warn(
+        `Failed to inspect container=${container.id}, writing without metadata tags:`,
+        err.message
+      );
+    }
+  }
+
+  /**
+   * Stops watching a container that is gone and reports it to `onContainerGone`
+   * @param {string} containerId - Container ID
+   */
+  function dropContainer(containerId) {
+    unwatchContainer(containerId);
+    onContainerGone?.(containerId);
   }
 
   /**
@@ -81,8 +325,24 @@ export function createContainerWatcher(onStats) {
       return;
     }
 
+    // Watching now makes a pending restart obsolete
+    const restart = restarts.get(containerId);
+    if (restart) {
+      clearTimeout(restart.timer);
+      restart.timer = null;
+    }
+
     try {
       const container = docker.getContainer(containerId);
+      await cacheContainerTags(container);
+
+      if (poller) {
+        if (poller.addContainer(containerId, containerName)) {
+          log.debug(`Started polling container=${containerId} name=${containerName}`);
+        }
+        return;
+      }
+
       const statsStream = /** @type {Readable} */ (await container.stats({ stream: true }));
 
       if (!streamManager.addStream(containerId, containerName, statsStream)) {
@@ -92,24 +352,135 @@ export function createContainerWatcher(onStats) {
 
       log.debug(`Started watching container=${containerId} name=${containerName}`);
     } catch (err) {
+      if (err.statusCode === 404) {
+        log.info(`Container ${containerId} no longer exists, not watching it`);
+        dropContainer(containerId);
+        return;
+      }
       log.error(`Error setting up stats stream for container=${containerId}:`, err);
+      // A failed setup counts like a failed stream, including a failed half-open trial
+      if (!containerWatcherShutdown) {
+        scheduleRestart(containerId);
+      }
     }
   }
 
   /**
-   * Starts watching all currently running containers
-   * @returns {Promise<void>}
+   * Lists the running containers that pass the container filters
+   * @returns {Promise<Array<{id: string, name: string}>>} Containers to watch
    */
-  async function watchRunningContainers() {
+  async function listWatchableContainers() {
     const containers = await docker.listContainers();
+    const watchable = [];
     for (const info of containers) {
       if (!info.Id) {
         log.warn('Container info missing Id, skipping');
         continue;
       }
       const containerName = info.Names[0]?.replace('/', '') || 'unknown_container';
-      await watchContainer(info.Id, containerName);
+      const skipReason = containerFilter.describe({
+        name: containerName,
+        image: info.Image,
+        labels: info.Labels
+      });
+      if (skipReason) {
+        log.debug(`Not watching container=${info.Id} name=${containerName}: ${skipReason}`);
+        continue;
+      }
+      watchable.push({ id: info.Id, name: containerName });
     }
+    return watchable;
+  }
+
+  /**
+   * Starts watching all currently running containers
+   * @returns {Promise<void>}
+   */
+  async function watchRunningContainers() {
+    for (const { id, name } of await listWatchableContainers()) {
+      await watchContainer(id, name);
+    }
+  }
+
+  /**
+   * Diffs the running containers against the active streams and fixes both directions:
+   * running containers without a stream are watched, streams of containers that are
+   * no longer running are removed
+   * @returns {Promise<{ started: number, removed: number }>} Number of corrections
+   */
+  async function reconcile() {
+    // Taken before listing, so streams started in between are not mistaken for dangling ones
+    const activeIds = collector.getActiveContainerIds();
+    const running = await listWatchableContainers();
+    const runningIds = new Set(running.map(({ id }) => id));
+    const result = { started: 0, removed: 0 };
+
+    for (const { id, name } of running) {
+      if (containerWatcherShutdown) return result;
+      // Containers waiting for a restart or parked by their circuit breaker are left alone
+      if (!collector.getActiveContainerIds().includes(id) && !isRestartPending(id)) {
+        log.warn(`Reconciliation: container=${id} name=${name} is running but not watched`);
+        incrementCounter('reconcile_corrections', {
+          docker_host: dockerHost.name,
+          action: 'started'
+        });
+        result.started++;
+        await watchContainer(id, name);
+      }
+    }
+
+    for (const id of activeIds) {
+      if (containerWatcherShutdown) return result;
+      if (!runningIds.has(id)) {
+        log.warn(`Reconciliation: container=${id} is no longer running, removing its stream`);
+        incrementCounter('reconcile_corrections', {
+          docker_host: dockerHost.name,
+          action: 'removed'
+        });
+        result.removed++;
+        dropContainer(id);
+      }
+    }
+
+    log.debug(
+      `Reconciliation finished: ${running.length} running, started=${result.started} removed=${result.removed}`
+    );
+    return result;
+  }
+
+  /**
+   * Runs the reconciliation periodically until shutdown
+   */
+  function startReconciliation() {
+    const intervalMs = config.docker.reconcileIntervalMs;
+    if (intervalMs <= 0) return;
+
+    reconcileTimer = setInterval(() => {
+      if (reconciling) return;
+      reconciling = true;
+      reconcile()
+        .catch(err => log.error('Reconciliation failed:', err))
+        .finally(() => {
+          reconciling = false;
+        });
+    }, intervalMs);
+    reconcileTimer.unref();
+
+    log.info(`Reconciling containers and stats streams every ${intervalMs}ms`);
+  }
+
+  /**
+   * Pauses the stats collection, e.g. while the sinks are behind
+   */
+  function pause() {
+    collector.pause();
+  }
+
+  /**
+   * Resumes the stats collection
+   */
+  function resume() {
+    collector.resume();
   }
 
   /**
@@ -118,13 +489,26 @@ export function createContainerWatcher(onStats) {
    */
   async function shutdown() {
     containerWatcherShutdown = true;
+    if (reconcileTimer) {
+      clearInterval(reconcileTimer);
+      reconcileTimer = null;
+    }
+    for (const containerId of restarts.keys()) {
+      forgetRestarts(containerId);
+    }
+    poller?.stop();
     await streamManager.removeAllStreams();
+    await recorder?.close();
   }
 
   return {
     watchContainer,
     unwatchContainer,
     watchRunningContainers,
+    reconcile,
+    startReconciliation,
+    pause,
+    resume,
     shutdown
   };
 }
@@ -5,30 +5,69 @@
  */
 
 import log from 'loglevel';
-import Docker from 'dockerode';
 import { config } from '../../config/config.mjs';
+import { calculateBackoff } from '../../utils/common.mjs';
+import { incrementCounter } from '../../utils/self-metrics.mjs';
+import { createDockerClient, describeDockerHost } from './client.mjs';
+import { createContainerFilter } from './filters.mjs';
 
 /**
- * Creates a Docker events manager
+ * @typedef {import('@types/docker.mjs').DockerEvent} DockerEvent
+ */
+
+// Certificate and handshake failures reported by the TLS layer
+const TLS_ERROR_CODES = new Set([
+  'CERT_HAS_EXPIRED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'EPROTO'
+]);
+
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+/**
+ * Creates a Docker events manager for one Docker daemon
  * @param {object} callbacks - Event callbacks
  * @param {function(string, string): Promise<void>} callbacks.onContainerStart - Called when a container starts
  * @param {function(string): Promise<void>} callbacks.onContainerStop - Called when a container stops
+ * @param {function(DockerEvent): Promise<void>} [callbacks.onEvent] - Called for every recorded container event
+ * @param {import('@types/config.mjs').DockerHostConfig} [dockerHost] - Daemon to monitor, defaults to the first configured one
  * @returns {object} Docker events manager functions
  */
-export function createDockerEventsManager(callbacks) {
-  const docker = new Docker({ socketPath: config.docker.socketPath });
+export function createDockerEventsManager(callbacks, dockerHost = config.docker.hosts[0]) {
+  const docker = createDockerClient(dockerHost);
+  const hostDescription = describeDockerHost(dockerHost);
+  const containerFilter = createContainerFilter(config.docker.filters);
   let dockerEventStream = null;
+  let monitoring = false;
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  let eventQueue = Promise.resolve();
+  // Resume point for reconnects: time (s) of the last processed event and the events seen in that second
+  let lastEventTime = 0;
+  let lastEventKeys = new Set();
 
   /**
    * Validates Docker socket access and permissions
    * @returns {Promise<void>}
-   * @throws {Error} If Docker socket is not accessible or has incorrect permissions
+   * @throws {Error} If the daemon is not accessible, with hints for permission, TLS and connection problems
    */
   async function validateAccess() {
     try {
       // Try to list containers as a basic access test
       await docker.ping();
-      log.info('Docker socket access verified');
+      log.info(`Docker access verified: ${hostDescription}`);
 
       // Test event stream access
       const testStream = await docker.getEvents({
@@ -47,7 +86,7 @@ export function createDockerEventsManager(callbacks) {
         }, 1000);
       });
 
-      log.info('Docker event stream access verified');
+      log.info(`Docker event stream access verified: ${hostDescription}`);
     } catch (err) {
       if (err.code === 'EACCES') {
         throw new Error(
@@ -62,8 +101,26 @@ export function createDockerEventsManager(callbacks) {
             '1. Docker is running on the host\n' +
             '2. The socket is mounted correctly in docker-compose.yml'
         );
+      } else if (TLS_ERROR_CODES.has(err.code) || err.code?.startsWith('ERR_SSL_')) {
+        throw new Error(
+          `TLS handshake with ${hostDescription} failed (${err.code}: ${err.message.trim()}). Please ensure:\n` +
+            '1. DOCKER_CERT_PATH contains ca.pem, cert.pem and key.pem issued for this daemon\n' +
+            '2. The daemon certificate is signed by ca.pem, not expired and valid for the host name\n' +
+            '3. The endpoint actually serves TLS (usually port 2376, plain TCP uses 2375)'
+        );
+      } else if (CONNECTION_ERROR_CODES.has(err.code)) {
+        throw new Error(
+          `Cannot connect to ${hostDescription} (${err.code}). Please ensure:\n` +
+            '1. The host name and port in DOCKER_HOST/DOCKER_HOSTS are correct\n' +
+            '2. The daemon listens on TCP (dockerd -H tcp://0.0.0.0:2376)\n' +
+            '3. No firewall blocks the port'
+        );
+      } else if (err.statusCode === 400 && /HTTPS server/i.test(err.message)) {
+        throw new Error(
+          `${hostDescription} requires TLS. Set DOCKER_TLS_VERIFY=1 and DOCKER_CERT_PATH, or use an https:// endpoint`
+        );
       } else {
-        throw new Error(`Docker access validation failed: ${err.message}`);
+        throw new Error(`Docker access validation failed for ${hostDescription}: ${err.message}`);
       }
     }
   }
@@ -84,7 +141,7 @@ export function createDockerEventsManager(callbacks) {
   /**
    * Gets container information by ID
    * @param {string} containerId - Container ID
-   * @returns {Promise<{id: string, name: string}>} Container information
+   * @returns {Promise<{id: string, name: string, image: string, labels: Record<string, string>}>} Container information
    * @throws {Error} If container not found or other error
    */
   async function getContainerInfo(containerId) {
@@ -99,7 +156,9 @@ export function createDockerEventsManager(callbacks) {
 
       return {
         id: containerId,
-        name: info.Name.replace(/^\//, '')
+        name: info.Name.replace(/^\//, ''),
+        image: info.Config?.Image || '',
+        labels: info.Config?.Labels || {}
       };
     } catch (err) {
       if (err.statusCode === 404) {
@@ -110,60 +169,231 @@ export function createDockerEventsManager(callbacks) {
   }
 
   /**
-   * Starts monitoring Docker events
+   * Passes an event to the onEvent callback if its action is recorded
+   * Events of filtered-out containers are skipped, the filter is matched against
+   * the event attributes which carry the container name, image and labels
+   * @param {DockerEvent} event - Docker event
+   * @param {string} action - Event action without details, e.g. `health_status`
    * @returns {Promise<void>}
    */
-  async function startMonitoring() {
-    if (dockerEventStream) {
-      log.warn('Events stream already exists, stopping existing stream first');
-      await stopMonitoring();
+  async function recordEvent(event, action) {
+    const { enabled, actions } = config.docker.events;
+    if (!callbacks.onEvent || !enabled || !(actions.includes('*') || actions.includes(action))) {
+      return;
     }
 
-    dockerEventStream = await docker.getEvents({
+    const attributes = event.Actor?.Attributes || {};
+    if (
+      !containerFilter.matches({
+        name: attributes.name,
+        image: attributes.image,
+        labels: attributes
+      })
+    ) {
+      return;
+    }
+
+    try {
+      await callbacks.onEvent(event);
+    } catch (err) {
+      log.error(`Error recording Docker event ${action} for ${event.Actor?.ID}:`, err);
+    }
+  }
+
+  /**
+   * Builds a key identifying an event
+   * @param {DockerEvent} event - Docker event
+   * @returns {string} Event key
+   */
+  function getEventKey(event) {
+    return `${event.timeNano}|${event.Actor?.ID || event.id}|${event.Action || event.status}`;
+  }
+
+  /**
+   * Checks whether an event was already processed before a reconnect
+   * `since` has a resolution of one second, so a resumed stream repeats the
+   * events of the second the last processed event happened in
+   * @param {DockerEvent} event - Docker event
+   * @returns {boolean} Whether the event is a duplicate
+   */
+  function isDuplicateEvent(event) {
+    return (
+      event.time < lastEventTime ||
+      (event.time === lastEventTime && lastEventKeys.has(getEventKey(event)))
+    );
+  }
+
+  /**
+   * Remembers an event as the resume point for reconnects
+   * @param {DockerEvent} event - Docker event
+   */
+  function markEventProcessed(event) {
+    if (event.time > lastEventTime) {
+      lastEventTime = event.time;
+      lastEventKeys = new Set();
+    }
+    lastEventKeys.add(getEventKey(event));
+  }
+
+  /**
+   * Handles a single Docker event
+   * @param {DockerEvent} event - Docker event
+   * @returns {Promise<void>}
+   */
+  async function processEvent(event) {
+    // `status` and `id` are deprecated aliases, removed in newer API versions
+    const status = event.Action || event.status;
+    const id = event.Actor?.ID || event.id;
+    if (!status || !id) return;
+
+    if (isDuplicateEvent(event)) {
+      log.debug(`Skipping already processed event ${status} for ${id}`);
+      return;
+    }
+    markEventProcessed(event);
+
+    // Actions like `health_status: healthy` carry details after the colon
+    const action = status.split(':')[0];
+    await recordEvent(event, action);
+
+    switch (action) {
+      case 'start':
+        log.info(`Container started: ${id}`);
+        try {
+          const containerInfo = await getContainerInfo(id);
+          const skipReason = containerFilter.describe(containerInfo);
+          if (skipReason) {
+            log.debug(`Not watching container=${id} name=${containerInfo.name}: ${skipReason}`);
+            break;
+          }
+          await callbacks.onContainerStart(id, containerInfo.name);
+        } catch (err) {
+          log.error(`Error handling container start for ${id}:`, err);
+        }
+        break;
+
+      case 'stop':
+      case 'die':
+      case 'kill':
+        log.info(`Container stopping: ${id}, status=${status}`);
+        await callbacks.onContainerStop(id);
+        break;
+    }
+  }
+
+  /**
+   * Opens the events stream, resuming from the last processed event
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    const stream = await docker.getEvents({
+      since: lastEventTime,
       filters: JSON.stringify({
         type: ['container']
       })
     });
+    dockerEventStream = stream;
 
-    dockerEventStream.on('data', async chunk => {
-      try {
-        const event = JSON.parse(chunk.toString());
-        const { status, id } = event;
-        if (!status || !id) return;
-
-        switch (status) {
-          case 'start':
-            log.info(`Container started: ${id}`);
-            try {
-              const { name } = await getContainerInfo(id);
-              await callbacks.onContainerStart(id, name);
-            } catch (err) {
-              log.error(`Error handling container start for ${id}:`, err);
-            }
-            break;
+    // Events are newline-delimited JSON, a chunk may hold several or a partial one
+    let buffer = '';
+    stream.on('data', chunk => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
 
-          case 'stop':
-          case 'die':
-          case 'kill':
-            log.info(`Container stopping: ${id}, status=${status}`);
-            await callbacks.onContainerStop(id);
-            break;
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          /** @type {DockerEvent} */
+          const event = JSON.parse(line);
+          // Handled one at a time, so a replayed start/die pair keeps its order
+          eventQueue = eventQueue
+            .then(() => processEvent(event))
+            .catch(err => log.error('Error handling Docker event:', err));
+        } catch (parseErr) {
+          log.error('Failed to parse Docker event:', parseErr);
         }
-      } catch (parseErr) {
-        log.error('Failed to parse Docker event:', parseErr);
       }
     });
 
-    dockerEventStream.on('error', err => {
-      log.error('Docker events stream error:', err);
+    stream.on('error', err => {
+      log.error(`Docker events stream error (${hostDescription}):`, err);
+      handleDisconnect(stream);
     });
 
-    dockerEventStream.on('end', () => {
-      log.info('Docker events stream ended');
-      dockerEventStream = null;
+    stream.on('end', () => {
+      log.info(`Docker events stream ended: ${hostDescription}`);
+      handleDisconnect(stream);
+    });
+  }
+
+  /**
+   * Cleans up a closed events stream and schedules a reconnect
+   * @param {import('stream').Readable} stream - The closed stream
+   */
+  function handleDisconnect(stream) {
+    // Both `error` and `end` may fire for the same stream
+    if (stream !== dockerEventStream) return;
+
+    dockerEventStream = null;
+    stream.destroy();
+
+    if (monitoring) {
+      scheduleReconnect();
+    }
+  }
+
+  /**
+   * Schedules a reconnect attempt with exponential backoff
+   */
+  function scheduleReconnect() {
+    reconnectAttempt++;
+    const delay = calculateBackoff({
+      attempt: reconnectAttempt,
+      initialDelayMs: config.docker.events.reconnectDelayMs,
+      maxDelayMs: config.docker.events.reconnectMaxDelayMs
     });
 
-    log.info('Docker events monitoring started');
+    log.warn(
+      `Reconnecting to Docker events of ${hostDescription} in ${delay}ms (attempt ${reconnectAttempt})`
+    );
+
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      if (!monitoring) return;
+
+      try {
+        await connect();
+        incrementCounter('docker_events_reconnects', { docker_host: dockerHost.name });
+        log.info(
+          `Docker events stream of ${hostDescription} reconnected, resuming from ${new Date(lastEventTime * 1000).toISOString()}`
+        );
+        reconnectAttempt = 0;
+      } catch (err) {
+        log.warn(`Failed to reconnect to Docker events of ${hostDescription}: ${err.message}`);
+        scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Starts monitoring Docker events
+   * The stream is reopened automatically when it ends or fails, replaying the
+   * events missed in between
+   * @returns {Promise<void>}
+   */
+  async function startMonitoring() {
+    if (monitoring) {
+      log.warn('Events stream already exists, stopping existing stream first');
+      await stopMonitoring();
+    }
+
+    monitoring = true;
+    lastEventTime = Math.floor(Date.now() / 1000);
+    lastEventKeys = new Set();
+    await connect();
+
+    log.info(`Docker events monitoring started: ${hostDescription}`);
   }
 
   /**
@@ -171,10 +401,18 @@ export function createDockerEventsManager(callbacks) {
    * @returns {Promise<void>}
    */
   async function stopMonitoring() {
+    monitoring = false;
+
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+
     if (dockerEventStream) {
       log.info('Stopping Docker events monitoring...');
-      dockerEventStream.destroy();
+      const stream = dockerEventStream;
       dockerEventStream = null;
+      stream.destroy();
     }
   }
 
@@ -0,0 +1,154 @@
+/**
+ * Container Filters
+ * Include/exclude rules deciding which containers are watched
+ * @module services/docker/filters
+ */
+
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+
+/**
+ * Container attributes the filter rules are matched against
+ * @typedef {object} ContainerDescriptor
+ * @property {string} name - Container name without leading slash
+ * @property {string} [image] - Image reference, e.g. `nginx:1.27`
+ * @property {Record<string, string>} [labels] - Container labels
+ */
+
+/**
+ * A parsed filter rule
+ * @typedef {object} FilterRule
+ * @property {string} source - Rule as written in the configuration
+ * @property {function(ContainerDescriptor): boolean} test - Whether a container matches the rule
+ */
+
+/**
+ * Converts a glob pattern (`*` and `?` wildcards) into an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Adds the implicit `latest` tag to untagged image references
+ * Docker reports `nginx` on inspect but `nginx:latest` when listing
+ * @param {string} image - Image reference
+ * @returns {string} Normalized image reference
+ */
+export function normalizeImage(image) {
+  if (!image || image.startsWith('sha256:') || image.includes('@')) {
+    return image || '';
+  }
+  const lastSegment = image.slice(image.lastIndexOf('/') + 1);
+  return lastSegment.includes(':') ? image : `${image}:latest`;
+}
+
+/**
+ * Parses a filter rule
+ * Supported forms:
+ * - `name:<regex>` - regular expression on the container name
+ * - `image:<glob>` - glob on the image reference
+ * - `label:<key>` or `label:<key>=<glob>` - label presence or value
+ * - `project:<name>` - Docker Compose project
+ * @param {string} rule - Rule as written in the configuration
+ * @returns {FilterRule} Parsed rule
+ * @throws {Error} If the rule is malformed
+ */
+export function parseFilterRule(rule) {
+  const separator = rule.indexOf(':');
+  const kind = separator === -1 ? '' : rule.slice(0, separator).trim().toLowerCase();
+  const value = rule.slice(separator + 1).trim();
+
+  if (!value) {
+    throw new Error(`Invalid container filter rule: "${rule}"`);
+  }
+
+  switch (kind) {
+    case 'name': {
+      let regex;
+      try {
+        regex = new RegExp(value);
+      } catch (err) {
+        throw new Error(`Invalid regular expression in container filter "${rule}": ${err.message}`);
+      }
+      return { source: rule, test: ({ name }) => regex.test(name) };
+    }
+
+    case 'image': {
+      // A wildcard in the last segment may cover the tag, e.g. `*builder*`
+      const lastSegment = value.slice(value.lastIndexOf('/') + 1);
+      const regex = globToRegExp(lastSegment.includes('*') ? value : normalizeImage(value));
+      return { source: rule, test: ({ image }) => regex.test(normalizeImage(image)) };
+    }
+
+    case 'label': {
+      const equals = value.indexOf('=');
+      if (equals === -1) {
+        return { source: rule, test: ({ labels = {} }) => value in labels };
+      }
+      const key = value.slice(0, equals);
+      const regex = globToRegExp(value.slice(equals + 1));
+      return {
+        source: rule,
+        test: ({ labels = {} }) => key in labels && regex.test(labels[key])
+      };
+    }
+
+    case 'project':
+      return {
+        source: rule,
+        test: ({ labels = {} }) => labels[COMPOSE_PROJECT_LABEL] === value
+      };
+
+    default:
+      throw new Error(
+        `Unknown container filter "${rule}", expected name:, image:, label: or project:`
+      );
+  }
+}
+
+/**
+ * Creates a container filter
+ * A container is watched if it matches at least one include rule (or no include
+ * rules are configured) and matches none of the exclude rules
+ * @param {object} rules - Filter rules
+ * @param {string[]} rules.include - Include rules
+ * @param {string[]} rules.exclude - Exclude rules
+ * @returns {{ matches: function(ContainerDescriptor): boolean, describe: function(ContainerDescriptor): string | null }} Container filter
+ * @throws {Error} If a rule is malformed
+ * @example
+ * const filter = createContainerFilter({
+ *   include: ['project:shop'],
+ *   exclude: ['name:^ci-', 'image:*builder*', 'label:com.example.ephemeral=true']
+ * });
+ *
+ * filter.matches({ name: 'shop-web-1', image: 'nginx', labels: { ... } });
+ */
+export function createContainerFilter({ include, exclude }) {
+  const includeRules = include.map(parseFilterRule);
+  const excludeRules = exclude.map(parseFilterRule);
+
+  /**
+   * Explains why a container is filtered out
+   * @param {ContainerDescriptor} descriptor - Container attributes
+   * @returns {string | null} Reason, or null if the container is watched
+   */
+  function describe(descriptor) {
+    if (includeRules.length > 0 && !includeRules.some(rule => rule.test(descriptor))) {
+      return 'matches no include rule';
+    }
+
+    const excludedBy = excludeRules.find(rule => rule.test(descriptor));
+    return excludedBy ? `excluded by "${excludedBy.source}"` : null;
+  }
+
+  return {
+    matches: descriptor => describe(descriptor) === null,
+    describe
+  };
+}
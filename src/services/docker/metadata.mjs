@@ -0,0 +1,66 @@
+/**
+ * Container Metadata
+ * Extracts image and label metadata from container inspect info for use as point tags
+ * @module services/docker/metadata
+ */
+
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+
+/**
+ * Splits an image reference into name and tag
+ * Digest references keep the digest as tag, untagged references default to `latest`
+ * @param {string} image - Image reference, e.g. `registry:5000/team/app:1.2`
+ * @returns {{ name: string, tag: string }} Image name and tag
+ */
+export function parseImageReference(image) {
+  if (!image) {
+    return { name: '', tag: '' };
+  }
+
+  const digestIndex = image.indexOf('@');
+  if (digestIndex !== -1) {
+    return { name: image.slice(0, digestIndex), tag: image.slice(digestIndex + 1) };
+  }
+
+  const tagIndex = image.lastIndexOf(':');
+  if (tagIndex > image.lastIndexOf('/')) {
+    return { name: image.slice(0, tagIndex), tag: image.slice(tagIndex + 1) };
+  }
+
+  return { name: image, tag: 'latest' };
+}
+
+/**
+ * Converts a label key into a tag key, e.g. `com.example.team` -> `label_com_example_team`
+ * @param {string} label - Label key
+ * @returns {string} Tag key
+ */
+export function labelToTagKey(label) {
+  return `label_${label.toLowerCase().replace(/[^a-z0-9_]/g, '_')}`;
+}
+
+/**
+ * Builds the metadata tags of a container
+ * Empty values are left out, so containers outside compose get no compose tags
+ * @param {import('dockerode').ContainerInspectInfo} info - Container inspect info
+ * @param {string[]} labelTags - Labels to copy into tags
+ * @returns {Record<string, string>} Metadata tags
+ */
+export function extractContainerTags(info, labelTags) {
+  const labels = info.Config?.Labels || {};
+  const { name, tag } = parseImageReference(info.Config?.Image || '');
+
+  const tags = {
+    image_name: name,
+    image_tag: tag,
+    compose_project: labels[COMPOSE_PROJECT_LABEL],
+    compose_service: labels[COMPOSE_SERVICE_LABEL]
+  };
+
+  for (const label of labelTags) {
+    tags[labelToTagKey(label)] = labels[label];
+  }
+
+  return Object.fromEntries(Object.entries(tags).filter(([, value]) => value));
+}
@@ -0,0 +1,191 @@
+/**
+ * Docker Stats Poller
+ * Collects container stats with periodic one-shot requests instead of persistent streams
+ * @module services/docker/poller
+ */
+
+/**
+ * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ */
+
+import log from 'loglevel';
+import { mapWithConcurrency, withTimeout } from '../../utils/common.mjs';
+import { incrementCounter } from '../../utils/self-metrics.mjs';
+import { parseStatsData } from './validation.mjs';
+
+/**
+ * Creates a stats poller
+ * Every interval the stats of all registered containers are requested through a
+ * worker pool, so at most `concurrency` requests are open at the same time. A round
+ * that takes longer than the interval delays the next one instead of overlapping it
+ * @param {object} params - Parameters
+ * @param {import('dockerode')} params.docker - Docker client
+ * @param {function(string, string, ParsedStats): Promise<void>} params.onStats - Stats callback
+ * @param {function(string): void} params.onContainerGone - Called when a container's stats can no longer be read
+ * @param {number} params.intervalMs - Delay between the starts of two polling rounds
+ * @param {number} params.concurrency - Maximum number of concurrent stats requests
+ * @param {number} params.timeoutMs - Timeout of a single stats request
+ * @param {string} params.dockerHost - Docker host name, used as counter label
+ * @param {ReturnType<typeof import('./recorder.mjs').createStatsRecorder> | null} [params.recorder] - Records the raw responses
+ * @returns {object} Stats poller functions
+ * @example
+ * const poller = createStatsPoller({
+ *   docker,
+ *   onStats,
+ *   onContainerGone: containerId => checkContainerStatus(containerId),
+ *   intervalMs: 10000,
+ *   concurrency: 10,
+ *   timeoutMs: 30000,
+ *   dockerHost: 'web-1'
+ * });
+ *
+ * poller.addContainer(containerId, containerName);
+ */
+export function createStatsPoller({
+  docker,
+  onStats,
+  onContainerGone,
+  intervalMs,
+  concurrency,
+  timeoutMs,
+  dockerHost,
+  recorder = null
+}) {
+  /** @type {Map<string, string>} Container ID -> container name */
+  const containers = new Map();
+  let timer = null;
+  let stopped = false;
+  let paused = false;
+
+  /**
+   * Requests and handles the stats of a single container
+   * @param {[string, string]} entry - Container ID and name
+   * @returns {Promise<void>}
+   */
+  async function pollContainer([containerId, containerName]) {
+    try {
+      // Without one-shot, the daemon samples twice so precpu_stats is filled in for cpu_percent
+      const data = await withTimeout(
+        docker.getContainer(containerId).stats({ stream: false }),
+        timeoutMs,
+        `Stats request timed out after ${timeoutMs}ms`
+      );
+
+      // The container may have been removed while the request was in flight
+      if (!containers.has(containerId)) return;
+
+      // Recorded as the line a stream would have delivered
+      recorder?.record(containerId, containerName, `${JSON.stringify(data)}\n`);
+      const parsedStats = parseStatsData(data);
+      if (!parsedStats) {
+        log.debug(`Invalid stats received for container=${containerId}`);
+        return;
+      }
+
+      await onStats(containerId, containerName, parsedStats);
+    } catch (err) {
+      incrementCounter('poll_errors', { docker_host: dockerHost });
+
+      if (err.statusCode === 404 || err.statusCode === 409) {
+        log.info(`Container ${containerId} is gone, removing it from polling`);
+        removeContainer(containerId);
+        return;
+      }
+
+      log.warn(`Error polling stats for container=${containerId}:`, err.message);
+    }
+  }
+
+  /**
+   * Runs one polling round and schedules the next one
+   * @returns {Promise<void>}
+   */
+  async function poll() {
+    const startedAt = Date.now();
+    // While paused the rounds keep their rhythm but request nothing
+    const entries = paused ? [] : Array.from(containers.entries());
+
+    await mapWithConcurrency(entries, concurrency, pollContainer);
+
+    const elapsed = Date.now() - startedAt;
+    if (elapsed > intervalMs) {
+      log.warn(
+        `Polling ${entries.length} containers took ${elapsed}ms, longer than the ${intervalMs}ms interval`
+      );
+    }
+    log.debug(`Polled ${entries.length} containers in ${elapsed}ms`);
+
+    if (!stopped) {
+      timer = setTimeout(poll, Math.max(0, intervalMs - elapsed));
+    }
+  }
+
+  /**
+   * Adds a container to the polling rounds
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @returns {boolean} Whether the container was added
+   */
+  function addContainer(containerId, containerName) {
+    if (containers.has(containerId)) {
+      log.warn(`Container ${containerId} is already polled, skipping`);
+      return false;
+    }
+    containers.set(containerId, containerName);
+    return true;
+  }
+
+  /**
+   * Removes a container from the polling rounds
+   * @param {string} containerId - Container ID
+   * @returns {boolean} Whether the container was removed
+   */
+  function removeContainer(containerId) {
+    if (!containers.delete(containerId)) return false;
+    onContainerGone(containerId);
+    return true;
+  }
+
+  /**
+   * Lists the polled containers
+   * @returns {string[]} Container IDs
+   */
+  function getActiveContainerIds() {
+    return Array.from(containers.keys());
+  }
+
+  /**
+   * Skips the polling rounds until resume is called
+   */
+  function pause() {
+    paused = true;
+  }
+
+  /**
+   * Resumes the polling rounds
+   */
+  function resume() {
+    paused = false;
+  }
+
+  /**
+   * Stops polling and forgets all containers
+   */
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+    containers.clear();
+  }
+
+  timer = setTimeout(poll, intervalMs);
+
+  return {
+    addContainer,
+    removeContainer,
+    getActiveContainerIds,
+    pause,
+    resume,
+    stop
+  };
+}
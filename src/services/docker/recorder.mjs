@@ -0,0 +1,155 @@
+/**
+ * Stats Recorder
+ * Captures the raw stats frames of every container to NDJSON files for later replay
+ * @module services/docker/recorder
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import log from 'loglevel';
+
+/**
+ * A recorded stats frame, one per line of a recording
+ * @typedef {object} RecordedFrame
+ * @property {number} time - Time the frame was received (ms since epoch)
+ * @property {string} container_id - Container ID
+ * @property {string} container_name - Container name
+ * @property {Record<string, string>} tags - Metadata tags of the container, e.g. `docker_host` and label tags
+ * @property {string} data - Raw frame bytes exactly as received from the stream, base64 encoded; may hold partial lines
+ */
+
+/**
+ * Recording file of a container
+ * @typedef {object} RecordingFile
+ * @property {fs.WriteStream} stream - File stream
+ * @property {number} size - Bytes in the file, including earlier runs
+ * @property {boolean} full - Whether the size limit was reached
+ */
+
+export const RECORDING_EXTENSION = '.ndjson';
+
+/**
+ * Creates a stats recorder
+ * Every container gets its own `<containerId>.ndjson` file in the directory; frames are
+ * appended, so a restarted service continues the same recording. A recording that reached
+ * `maxSize` bytes receives no further frames
+ * @param {object} options - Recorder options
+ * @param {string} options.directory - Directory receiving the recordings
+ * @param {number} [options.maxSize] - Maximum size of a recording in bytes, 0 for no limit
+ * @param {function(string): Record<string, string>} [options.getTags] - Returns the metadata tags of a container
+ * @returns {object} Recorder functions
+ * @throws {Error} If the directory cannot be created
+ * @example
+ * const recorder = createStatsRecorder({
+ *   directory: '/data/recordings/web-1',
+ *   maxSize: 100 * 1024 * 1024,
+ *   getTags: containerId => containerTags.get(containerId)
+ * });
+ *
+ * stream.on('data', chunk => recorder.record(containerId, containerName, chunk));
+ *
+ * await recorder.close();
+ */
+export function createStatsRecorder({ directory, maxSize = 0, getTags = () => ({}) }) {
+  /** @type {Map<string, RecordingFile | null>} Container ID -> file, null after a write error */
+  const files = new Map();
+
+  fs.mkdirSync(directory, { recursive: true });
+  log.info(`Recording raw stats frames to ${directory}`);
+
+  /**
+   * Returns the size of an existing recording
+   * @param {string} file - Recording file
+   * @returns {number} Size in bytes, 0 if the file does not exist yet
+   */
+  function getExistingSize(file) {
+    try {
+      return fs.statSync(file).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Returns the recording file of a container, opening it on first use
+   * @param {string} containerId - Container ID
+   * @returns {RecordingFile | null} Recording file, null if recording failed before
+   */
+  function getFile(containerId) {
+    if (files.has(containerId)) {
+      return files.get(containerId);
+    }
+
+    const file = path.join(directory, `${containerId}${RECORDING_EXTENSION}`);
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', err => {
+      log.error(`Failed to record stats of container=${containerId} to ${file}:`, err.message);
+      files.set(containerId, null);
+    });
+    const recording = { stream, size: getExistingSize(file), full: false };
+    files.set(containerId, recording);
+    return recording;
+  }
+
+  /**
+   * Appends a raw frame to the recording of a container
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @param {Buffer | string} chunk - Raw frame
+   */
+  function record(containerId, containerName, chunk) {
+    const recording = getFile(containerId);
+    if (!recording || recording.full) {
+      return;
+    }
+
+    /** @type {RecordedFrame} */
+    const frame = {
+      time: Date.now(),
+      container_id: containerId,
+      container_name: containerName,
+      tags: getTags(containerId) || {},
+      data: (typeof chunk === 'string' ? Buffer.from(chunk) : chunk).toString('base64')
+    };
+    const line = `${JSON.stringify(frame)}\n`;
+    const size = Buffer.byteLength(line);
+
+    if (maxSize > 0 && recording.size + size > maxSize) {
+      log.warn(
+        `Recording of container=${containerId} reached ${recording.size} bytes (limit ${maxSize}), stopping it`
+      );
+      recording.full = true;
+      return;
+    }
+
+    recording.size += size;
+    recording.stream.write(line);
+  }
+
+  /**
+   * Closes the recording of a container, e.g. once it stopped
+   * @param {string} containerId - Container ID
+   */
+  function forget(containerId) {
+    files.get(containerId)?.stream.end();
+    files.delete(containerId);
+  }
+
+  /**
+   * Closes all recordings
+   * @returns {Promise<void>} Resolves once all frames are written
+   */
+  async function close() {
+    const streams = Array.from(files.values())
+      .filter(Boolean)
+      .map(({ stream }) => stream);
+    files.clear();
+    await Promise.all(streams.map(stream => new Promise(resolve => stream.end(resolve))));
+  }
+
+  return {
+    record,
+    forget,
+    close
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Stats Replay
+ * Feeds recorded stats frames through the regular parsing pipeline, without a Docker daemon
+ * @module services/docker/replay
+ */
+
+/**
+ * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ * @typedef {import('./recorder.mjs').RecordedFrame} RecordedFrame
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import log from 'loglevel';
+import { sleep } from '../../utils/common.mjs';
+import { createLineSplitter } from './stats-parser.mjs';
+import { parseLine } from './validation.mjs';
+import { RECORDING_EXTENSION } from './recorder.mjs';
+
+/**
+ * Lists the recording files of a path
+ * @param {string} recordingPath - Recording file, or directory searched recursively
+ * @returns {Promise<string[]>} Recording files, sorted by name
+ */
+async function listRecordingFiles(recordingPath) {
+  const stats = await fs.stat(recordingPath);
+  if (!stats.isDirectory()) {
+    return [recordingPath];
+  }
+
+  const entries = await fs.readdir(recordingPath, { recursive: true });
+  return entries
+    .filter(entry => entry.endsWith(RECORDING_EXTENSION))
+    .sort()
+    .map(entry => path.join(recordingPath, entry));
+}
+
+/**
+ * Reads recorded frames from files or directories
+ * Frames of all files are merged in the order they were received
+ * @param {string[]} recordingPaths - Recording files or directories
+ * @returns {Promise<RecordedFrame[]>} Frames sorted by receive time
+ */
+export async function readRecordings(recordingPaths) {
+  /** @type {RecordedFrame[]} */
+  const frames = [];
+
+  for (const recordingPath of recordingPaths) {
+    for (const file of await listRecordingFiles(recordingPath)) {
+      const lines = (await fs.readFile(file, 'utf8')).split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          frames.push(JSON.parse(line));
+        } catch (err) {
+          log.warn(`Skipping invalid frame at ${file}:${index + 1}: ${err.message}`);
+        }
+      });
+    }
+  }
+
+  // Array.prototype.sort is stable, frames received at the same time keep their file order
+  return frames.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replays recorded frames through the line splitter and `parseLine`
+ * Every container keeps its own line splitter, so frames split mid-line are reassembled
+ * exactly like on a live stream
+ * @param {RecordedFrame[]} frames - Frames sorted by receive time
+ * @param {object} options - Replay options
+ * @param {function(string, string, ParsedStats, Record<string, string>): Promise<void>} options.onStats - Called for every parsed sample, the last argument holds the recorded metadata tags
+ * @param {number} [options.speed] - Playback speed, 1 keeps the original timing, 0 replays without delays
+ * @returns {Promise<{ frames: number, samples: number, invalidLines: number }>} Replay summary
+ * @example
+ * const frames = await readRecordings(['./recordings/web-1']);
+ * const summary = await replayFrames(frames, {
+ *   speed: 10,
+ *   onStats: async (containerId, containerName, parsedStats, metadata) => console.log(parsedStats)
+ * });
+ */
+export async function replayFrames(frames, { onStats, speed = 1 }) {
+  /** @type {Map<string, ReturnType<typeof createLineSplitter>>} */
+  const splitters = new Map();
+  const summary = { frames: 0, samples: 0, invalidLines: 0 };
+
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i];
+    if (speed > 0 && i > 0) {
+      const delay = (frame.time - frames[i - 1].time) / speed;
+      if (delay > 0) {
+        await sleep(delay);
+      }
+    }
+
+    let splitter = splitters.get(frame.container_id);
+    if (!splitter) {
+      splitter = createLineSplitter();
+      splitters.set(frame.container_id, splitter);
+    }
+    summary.frames++;
+
+    for (const line of splitter.push(Buffer.from(frame.data, 'base64'))) {
+      const parsedStats = parseLine(line);
+      if (!parsedStats) {
+        summary.invalidLines++;
+        log.warn(`Invalid stats line for container=${frame.container_id} at ${frame.time}`);
+        continue;
+      }
+      summary.samples++;
+      await onStats(frame.container_id, frame.container_name, parsedStats, frame.tags || {});
+    }
+  }
+
+  return summary;
+}
@@ -1,6 +1,6 @@
 /**
  * Docker Stats Stream Parser
- * Pure functions for parsing and validating Docker stats data
+ * Splits Docker stats streams into lines for parsing
  * @module services/docker/stats-parser
  */
 
@@ -8,8 +8,157 @@ import log from 'loglevel';
 import { config } from '../../config/config.mjs';
 import { parseLine } from './validation.mjs';
 
+const NEWLINE = 0x0a;
+
+/**
+ * Creates a line splitter for one stats stream
+ * Chunks are kept as Buffers until a line is complete, so the unfinished rest is never
+ * re-copied per line and is decoded only once. A newline byte never occurs inside a
+ * multi-byte UTF-8 sequence, so decoding complete lines cannot split a character, even
+ * if the chunk boundaries do
+ * @param {object} [options] - Splitter options
+ * @param {number} [options.maxLineSize] - Unfinished lines beyond this size are discarded up to their end
+ * @param {number} [options.maxBufferSize] - Unfinished data beyond this size is discarded up to its end
+ * @returns {object} Line splitter functions
+ * @example
+ * const splitter = createLineSplitter();
+ *
+ * stream.on('data', chunk => {
+ *   for (const line of splitter.push(chunk)) {
+ *     handle(parseLine(line));
+ *   }
+ * });
+ */
+export function createLineSplitter({
+  maxLineSize = config.docker.stats.maxLineSize,
+  maxBufferSize = config.docker.stats.maxBufferSize
+} = {}) {
+  /** @type {Buffer[]} Pieces of the unfinished line */
+  let pending = [];
+  let pendingBytes = 0;
+  // Set after an oversized line was dropped, until its newline arrives
+  let discarding = false;
+
+  /**
+   * Forgets the unfinished line
+   */
+  function reset() {
+    pending = [];
+    pendingBytes = 0;
+  }
+
+  /**
+   * Adds a decoded line unless it is blank
+   * @param {string[]} lines - Collected lines
+   * @param {string} line - Decoded line
+   */
+  function addLine(lines, line) {
+    const trimmed = line.trim();
+    if (trimmed) {
+      lines.push(trimmed);
+    }
+  }
+
+  /**
+   * Decodes the complete lines of a chunk
+   * Only the first line is joined with the unfinished line of the previous chunks, the
+   * rest of the chunk is decoded in one go without being copied
+   * @param {Buffer} complete - Bytes of the chunk up to its last newline
+   * @returns {string[]} Complete, trimmed and non-empty lines
+   */
+  function decodeLines(complete) {
+    const lines = [];
+    let start = 0;
+
+    if (pendingBytes > 0) {
+      const first = complete.indexOf(NEWLINE);
+      const head = first === -1 ? complete : complete.subarray(0, first);
+      addLine(
+        lines,
+        Buffer.concat([...pending, head], pendingBytes + head.length).toString('utf8')
+      );
+      reset();
+      start = first === -1 ? complete.length : first + 1;
+    }
+
+    if (start < complete.length) {
+      for (const line of complete.toString('utf8', start).split('\n')) {
+        addLine(lines, line);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Keeps the rest of a chunk until its newline arrives
+   * The rest is copied, so a small tail does not keep the whole chunk in memory. Once a
+   * limit is exceeded the line is dropped up to its newline
+   * @param {Buffer} rest - Bytes after the last newline
+   */
+  function keepRest(rest) {
+    pending.push(Buffer.from(rest));
+    pendingBytes += rest.length;
+
+    if (pendingBytes > maxLineSize) {
+      log.warn(`Line size limit exceeded (size=${pendingBytes}), discarding`);
+      reset();
+      discarding = true;
+    } else if (pendingBytes > maxBufferSize) {
+      log.warn(`Buffer overflow (size=${pendingBytes}), discarding`);
+      reset();
+      discarding = true;
+    }
+  }
+
+  /**
+   * Splits a chunk into complete lines
+   * @param {Buffer | string} chunk - New data chunk
+   * @returns {string[]} Complete, trimmed and non-empty lines
+   */
+  function push(chunk) {
+    const data = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    const last = data.lastIndexOf(NEWLINE);
+
+    if (last === -1) {
+      if (!discarding) {
+        keepRest(data);
+      }
+      return [];
+    }
+
+    // The rest of an oversized line ends at the first newline
+    const start = discarding ? data.indexOf(NEWLINE) + 1 : 0;
+    discarding = false;
+
+    const lines = start <= last ? decodeLines(data.subarray(start, last)) : [];
+
+    if (last + 1 < data.length) {
+      keepRest(data.subarray(last + 1));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Number of buffered bytes of the unfinished line
+   * @returns {number} Size in bytes
+   */
+  function size() {
+    return pendingBytes;
+  }
+
+  return {
+    push,
+    reset,
+    size
+  };
+}
+
 /**
  * Manages a buffer of incoming stats data
+ * @deprecated Superseded by {@link createLineSplitter}, which avoids re-copying the buffer per
+ * line and splitting multi-byte characters. Kept as baseline for `pnpm bench:splitter`
  * @param {string} currentBuffer - Current buffer content
  * @param {Buffer} chunk - New data chunk
  * @returns {{ lines: string[], remainingBuffer: string }} Parsed lines and remaining buffer
@@ -11,20 +11,70 @@
  */
 
 import log from 'loglevel';
-import { processBuffer } from './stats-parser.mjs';
+import { createLineSplitter } from './stats-parser.mjs';
 import { parseLine } from './validation.mjs';
+import { incrementCounter } from '../../utils/self-metrics.mjs';
 
 /**
  * Creates a stream manager for handling container stats streams
  * @param {object} params - Parameters
  * @param {function(string, string, ParsedStats): Promise<void>} params.onStats - Stats callback
  * @param {function(string): void} params.onStreamEnd - Called when a stream ends
+ * @param {number} [params.stallTimeoutMs] - Streams without a parsed sample for this long are removed (0 disables the watchdog)
+ * @param {string} [params.dockerHost] - Docker host name, used as counter label
+ * @param {ReturnType<typeof import('./recorder.mjs').createStatsRecorder> | null} [params.recorder] - Records the raw frames
  * @returns {object} Stream manager functions
  */
-export function createStreamManager({ onStats, onStreamEnd }) {
+export function createStreamManager({
+  onStats,
+  onStreamEnd,
+  stallTimeoutMs = 0,
+  dockerHost = '',
+  recorder = null
+}) {
   /** @type {Map<string, StreamInfo>} */
   const streams = new Map();
   const maxConsecutiveErrors = 3;
+  let watchdogTimer = null;
+  let paused = false;
+
+  /**
+   * Removes streams that are open but have not produced a parsable sample within the
+   * stall timeout. Removing a stream triggers onStreamEnd, which re-establishes it if
+   * the container is still running
+   */
+  function checkStalledStreams() {
+    // Paused streams are silent on purpose
+    if (paused) return;
+
+    const now = Date.now();
+    for (const [containerId, streamInfo] of streams) {
+      const silentMs = now - streamInfo.lastParsedAt;
+      if (streamInfo.state !== 'active' || silentMs <= stallTimeoutMs) continue;
+
+      log.warn(
+        `No stats parsed for container=${containerId} in ${silentMs}ms, restarting stalled stream`
+      );
+      incrementCounter('stream_stalls', { docker_host: dockerHost });
+      removeStream(containerId);
+    }
+  }
+
+  /**
+   * Starts the stall watchdog while there are streams, and stops it once there are none
+   */
+  function updateWatchdog() {
+    if (stallTimeoutMs <= 0) return;
+
+    if (streams.size > 0 && !watchdogTimer) {
+      // Checking at a fraction of the timeout bounds the detection delay to 1.25x the timeout
+      watchdogTimer = setInterval(checkStalledStreams, Math.max(1000, stallTimeoutMs / 4));
+      watchdogTimer.unref();
+    } else if (streams.size === 0 && watchdogTimer) {
+      clearInterval(watchdogTimer);
+      watchdogTimer = null;
+    }
+  }
 
   /**
    * Gets the current state of a stream
@@ -92,24 +142,25 @@ export function createStreamManager({ onStats, onStreamEnd }) {
     /** @type {StreamInfo} */
     const streamInfo = {
       stream,
-      buffer: '',
+      splitter: createLineSplitter(),
       consecutiveErrors: 0,
+      lastParsedAt: Date.now(),
       state: /** @type {StreamState} */ ('starting')
     };
 
     streams.set(containerId, streamInfo);
+    updateWatchdog();
 
     // Set up stream event handlers
     stream.on('data', chunk => {
       const streamInfo = streams.get(containerId);
       if (!streamInfo || streamInfo.state !== 'active') return;
 
-      const { lines, remainingBuffer } = processBuffer(streamInfo.buffer, chunk);
-      streamInfo.buffer = remainingBuffer;
-
-      for (const line of lines) {
+      recorder?.record(containerId, containerName, chunk);
+      for (const line of streamInfo.splitter.push(chunk)) {
         const parsedStats = parseLine(line);
         if (parsedStats) {
+          streamInfo.lastParsedAt = Date.now();
           onStats(containerId, containerName, parsedStats)
             .then(() => {
               streamInfo.consecutiveErrors = 0;
@@ -143,6 +194,11 @@ export function createStreamManager({ onStats, onStreamEnd }) {
       removeStream(containerId);
     });
 
+    // Streams started during backpressure wait for the resume like all others
+    if (paused) {
+      stream.pause();
+    }
+
     // Mark stream as active
     transitionStreamState(containerId, 'active');
     return true;
@@ -170,6 +226,7 @@ export function createStreamManager({ onStats, onStreamEnd }) {
       streamInfo.stream.destroy();
       transitionStreamState(containerId, 'stopped');
       streams.delete(containerId);
+      updateWatchdog();
 
       // Notify parent
       onStreamEnd(containerId);
@@ -190,11 +247,53 @@ export function createStreamManager({ onStats, onStreamEnd }) {
       removeStream(containerId);
     }
     streams.clear();
+    updateWatchdog();
+  }
+
+  /**
+   * Pauses all streams, new streams start paused until resume is called
+   * The daemon's writes then back up in the socket instead of in process memory
+   */
+  function pause() {
+    if (paused) return;
+    paused = true;
+    for (const { stream } of streams.values()) {
+      stream.pause();
+    }
+    log.debug(`Paused ${streams.size} stats streams`);
+  }
+
+  /**
+   * Resumes all streams
+   * The stall timeout restarts from now, so the pause itself does not count as a stall
+   */
+  function resume() {
+    if (!paused) return;
+    paused = false;
+    const now = Date.now();
+    for (const streamInfo of streams.values()) {
+      streamInfo.lastParsedAt = now;
+      streamInfo.stream.resume();
+    }
+    log.debug(`Resumed ${streams.size} stats streams`);
+  }
+
+  /**
+   * Lists the containers that have a stream which is not being removed
+   * @returns {string[]} Container IDs
+   */
+  function getActiveContainerIds() {
+    return Array.from(streams.entries())
+      .filter(([, streamInfo]) => ['starting', 'active'].includes(streamInfo.state))
+      .map(([containerId]) => containerId);
   }
 
   return {
     addStream,
     removeStream,
-    removeAllStreams
+    removeAllStreams,
+    getActiveContainerIds,
+    pause,
+    resume
   };
 }
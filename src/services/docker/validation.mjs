@@ -10,6 +10,72 @@
 import log from 'loglevel';
 import { config } from '../../config/config.mjs';
 
+/**
+ * cgroup v2 `memory.stat` keys, recorded as `mem_<key>`
+ * Keys cgroup v2 shares with v1 (`active_anon`, `inactive_file`, `pgfault`, ...) are
+ * mapped together with the v1 keys
+ * @type {string[]}
+ */
+const CGROUP_V2_MEMORY_KEYS = [
+  // Memory usage by type
+  'anon',
+  'file',
+  'kernel',
+  'kernel_stack',
+  'pagetables',
+  'sec_pagetables',
+  'percpu',
+  'sock',
+  'vmalloc',
+  'shmem',
+  'zswap',
+  'zswapped',
+  'file_mapped',
+  'file_dirty',
+  'file_writeback',
+  'swapcached',
+  'anon_thp',
+  'file_thp',
+  'shmem_thp',
+  'slab',
+  'slab_reclaimable',
+  'slab_unreclaimable',
+
+  // Reclaim activity (cumulative)
+  'workingset_refault',
+  'workingset_refault_anon',
+  'workingset_refault_file',
+  'workingset_activate',
+  'workingset_activate_anon',
+  'workingset_activate_file',
+  'workingset_restore_anon',
+  'workingset_restore_file',
+  'workingset_nodereclaim',
+  'pgscan',
+  'pgsteal',
+  'pgrefill',
+  'pgactivate',
+  'pgdeactivate',
+  'pglazyfree',
+  'pglazyfreed',
+  'thp_fault_alloc',
+  'thp_collapse_alloc'
+];
+
+/**
+ * Checks whether stats come from a Windows daemon
+ * Newer API versions set `os_type`, older Windows daemons are recognized by `num_procs`,
+ * which Linux daemons always report as 0, and the missing `system_cpu_usage`
+ * @param {object} stats - Raw Docker stats
+ * @returns {boolean} Whether the stats use Windows semantics
+ */
+export function isWindowsStats(stats) {
+  if (stats.os_type) {
+    return stats.os_type === 'windows';
+  }
+  return stats.num_procs > 0 && stats.cpu_stats?.system_cpu_usage === undefined;
+}
+
 /**
  * Validates CPU stats structure
  * @param {import('dockerode').CpuStats} cpuStats - CPU stats to validate
@@ -28,6 +94,19 @@ function validateCpuStats(cpuStats) {
   return { isValid: errors.length === 0, errors };
 }
 
+/**
+ * Validates Windows CPU stats structure
+ * Windows daemons report no `system_cpu_usage`
+ * @param {import('dockerode').CpuStats} cpuStats - CPU stats to validate
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+function validateWindowsCpuStats(cpuStats) {
+  if (typeof cpuStats?.cpu_usage?.total_usage !== 'number') {
+    return { isValid: false, errors: ['missing cpu_usage.total_usage'] };
+  }
+  return { isValid: true, errors: [] };
+}
+
 /**
  * Validates memory stats structure
  * @param {unknown} memStats - Memory stats to validate
@@ -51,6 +130,19 @@ function validateMemoryStats(memStats) {
   return { isValid: errors.length === 0, errors };
 }
 
+/**
+ * Validates Windows memory stats structure
+ * Windows daemons report commit and working set sizes instead of `usage` and `limit`
+ * @param {unknown} memStats - Memory stats to validate
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+function validateWindowsMemoryStats(memStats) {
+  if (typeof memStats?.privateworkingset !== 'number') {
+    return { isValid: false, errors: ['invalid memory_stats.privateworkingset'] };
+  }
+  return { isValid: true, errors: [] };
+}
+
 /**
  * Validates network stats structure
  * @param {unknown} networks - Network stats to validate
@@ -85,10 +177,13 @@ export function validateStats(stats) {
     return false;
   }
 
+  const windows = isWindowsStats(stats);
   const validations = [
     validateTimestamp(stats.read),
-    validateCpuStats(stats.cpu_stats),
-    validateMemoryStats(stats.memory_stats),
+    windows ? validateWindowsCpuStats(stats.cpu_stats) : validateCpuStats(stats.cpu_stats),
+    windows
+      ? validateWindowsMemoryStats(stats.memory_stats)
+      : validateMemoryStats(stats.memory_stats),
     validateNetworkStats(stats.networks)
   ];
 
@@ -129,6 +224,54 @@ function calculateCpuPercent(stats) {
   return 0;
 }
 
+/**
+ * Calculates the CPU percentage of Windows stats, like the Docker CLI does
+ * Windows reports CPU usage in 100ns intervals; the usage is compared with the intervals all
+ * processors had between the previous and the current sample
+ * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
+ * @returns {number} CPU percentage
+ */
+function calculateWindowsCpuPercent(stats) {
+  const prereadTime = Date.parse(stats.preread);
+  // The first sample has no previous one, its preread time is 0001-01-01
+  if (Number.isNaN(prereadTime) || prereadTime <= 0) {
+    return 0;
+  }
+
+  const possibleIntervals = ((Date.parse(stats.read) - prereadTime) * 1e6) / 100;
+  const usedIntervals =
+    stats.cpu_stats.cpu_usage.total_usage - (stats.precpu_stats?.cpu_usage?.total_usage || 0);
+
+  if (possibleIntervals > 0 && usedIntervals > 0) {
+    return (usedIntervals / (possibleIntervals * (stats.num_procs || 1))) * 100;
+  }
+
+  return 0;
+}
+
+/**
+ * Calculates memory usage without the page cache, like the Docker CLI does for `docker stats`
+ * The inactive file cache can be reclaimed at any time, so it is not counted as used
+ * @param {import('dockerode').MemoryStats} memoryStats - Raw memory stats
+ * @returns {number} Memory usage in bytes
+ */
+function calculateMemoryUsageNoCache(memoryStats) {
+  const { usage, stats = {} } = memoryStats;
+
+  // cgroup v1
+  if (stats.total_inactive_file !== undefined && stats.total_inactive_file < usage) {
+    return usage - stats.total_inactive_file;
+  }
+
+  // cgroup v2
+  const inactiveFile = stats.inactive_file || 0;
+  if (inactiveFile < usage) {
+    return usage - inactiveFile;
+  }
+
+  return usage;
+}
+
 /**
  * Calculates network usage from stats
  * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
@@ -208,6 +351,10 @@ function extractMemoryFields(stats) {
     fields.mem_failcnt = stats.memory_stats.failcnt;
   }
 
+  // Same numbers as `docker stats`
+  fields.mem_usage_no_cache = calculateMemoryUsageNoCache(stats.memory_stats);
+  fields.mem_percent = fields.mem_total ? (fields.mem_usage_no_cache / fields.mem_total) * 100 : 0;
+
   // Detailed Linux memory stats
   if (stats.memory_stats.stats) {
     const memStats = stats.memory_stats.stats;
@@ -260,6 +407,11 @@ function extractMemoryFields(stats) {
       mem_hierarchical_limit: memStats.hierarchical_memory_limit
     };
 
+    // cgroup v2 keys
+    for (const key of CGROUP_V2_MEMORY_KEYS) {
+      memFields[`mem_${key}`] = memStats[key];
+    }
+
     // Windows-specific memory stats
     if (typeof stats.memory_stats.commitbytes === 'number') {
       memFields.mem_commit_bytes = stats.memory_stats.commitbytes;
@@ -318,37 +470,136 @@ function extractNetworkFields(stats) {
   return fields;
 }
 
+/**
+ * Sums block I/O entries by operation, overall and per device
+ * @param {import('dockerode').BlkioStatEntry[] | null | undefined} entries - Recursive block I/O entries
+ * @returns {{ totals: Record<string, number>, devices: Map<string, Record<string, number>> }}
+ * Values by lower-case operation, devices keyed by `<major>_<minor>`
+ */
+function sumBlockIOEntries(entries) {
+  const totals = {};
+  const devices = new Map();
+
+  (entries || []).forEach(({ major, minor, op, value }) => {
+    if (!op || typeof value !== 'number') return;
+
+    const operation = op.toLowerCase();
+    const device = `${major}_${minor}`;
+    if (!devices.has(device)) {
+      devices.set(device, {});
+    }
+    const deviceTotals = devices.get(device);
+
+    totals[operation] = (totals[operation] || 0) + value;
+    deviceTotals[operation] = (deviceTotals[operation] || 0) + value;
+  });
+
+  return { totals, devices };
+}
+
 /**
  * Extracts block I/O fields from stats
+ * Bytes come from `io_service_bytes_recursive` and operation counts from
+ * `io_serviced_recursive`, both summed over all devices and per device as
+ * `blkio_<major>_<minor>_*`. The per-device fields are never written under these names,
+ * the transformer turns them into `docker_blkio_device` points tagged with the device.
+ * cgroup v2 daemons only report read and write bytes, the total is derived from them
  * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
  * @returns {Record<string, number>} Block I/O fields
  */
 function extractBlockIOFields(stats) {
   const fields = {};
+  const bytes = sumBlockIOEntries(stats.blkio_stats?.io_service_bytes_recursive);
+  const ops = sumBlockIOEntries(stats.blkio_stats?.io_serviced_recursive);
 
-  if (stats.blkio_stats?.io_service_bytes_recursive) {
-    const ioStats = {};
-    stats.blkio_stats.io_service_bytes_recursive.forEach(stat => {
-      if (stat.op && typeof stat.value === 'number') {
-        ioStats[stat.op.toLowerCase()] = (ioStats[stat.op.toLowerCase()] || 0) + stat.value;
-      }
-    });
+  if (bytes.totals.total === undefined && (bytes.totals.read ?? bytes.totals.write) !== undefined) {
+    bytes.totals.total = (bytes.totals.read || 0) + (bytes.totals.write || 0);
+  }
 
-    const blkioFields = {
-      blkio_read_bytes: ioStats.read,
-      blkio_write_bytes: ioStats.write,
-      blkio_sync_bytes: ioStats.sync,
-      blkio_async_bytes: ioStats.async,
-      blkio_total_bytes: ioStats.total
-    };
+  const blkioFields = {
+    blkio_read_bytes: bytes.totals.read,
+    blkio_write_bytes: bytes.totals.write,
+    blkio_sync_bytes: bytes.totals.sync,
+    blkio_async_bytes: bytes.totals.async,
+    blkio_total_bytes: bytes.totals.total,
+    blkio_read_ops: ops.totals.read,
+    blkio_write_ops: ops.totals.write
+  };
 
-    Object.entries(blkioFields).forEach(([key, value]) => {
-      if (value !== undefined) {
-        fields[key] = value;
-      }
+  for (const device of new Set([...bytes.devices.keys(), ...ops.devices.keys()])) {
+    const deviceBytes = bytes.devices.get(device) || {};
+    const deviceOps = ops.devices.get(device) || {};
+    Object.assign(blkioFields, {
+      [`blkio_${device}_read_bytes`]: deviceBytes.read,
+      [`blkio_${device}_write_bytes`]: deviceBytes.write,
+      [`blkio_${device}_read_ops`]: deviceOps.read,
+      [`blkio_${device}_write_ops`]: deviceOps.write
     });
   }
 
+  Object.entries(blkioFields).forEach(([key, value]) => {
+    if (value !== undefined) {
+      fields[key] = value;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Extracts CPU fields from Windows stats
+ * Usage times are converted from 100ns intervals to nanoseconds, like on Linux
+ * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
+ * @returns {Record<string, number>} CPU fields
+ */
+function extractWindowsCpuFields(stats) {
+  const cpuUsage = stats.cpu_stats.cpu_usage;
+
+  return {
+    cpu_percent: calculateWindowsCpuPercent(stats),
+    cpu_total_usage: cpuUsage.total_usage * 100,
+    cpu_usage_in_kernelmode: cpuUsage.usage_in_kernelmode * 100,
+    cpu_usage_in_usermode: cpuUsage.usage_in_usermode * 100,
+    cpu_online: stats.num_procs || 1
+  };
+}
+
+/**
+ * Extracts memory fields from Windows stats
+ * The private working set is what `docker stats` shows as memory usage; Windows reports no limit
+ * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
+ * @returns {Record<string, number>} Memory fields
+ */
+function extractWindowsMemoryFields(stats) {
+  const memoryStats = stats.memory_stats;
+
+  return {
+    mem_used: memoryStats.privateworkingset,
+    mem_usage_no_cache: memoryStats.privateworkingset,
+    mem_private_working_set: memoryStats.privateworkingset,
+    mem_commit_bytes: memoryStats.commitbytes,
+    mem_commit_peak_bytes: memoryStats.commitpeakbytes
+  };
+}
+
+/**
+ * Extracts block I/O fields from Windows `storage_stats`
+ * @param {import('dockerode').ContainerStats} stats - Raw Docker stats
+ * @returns {Record<string, number>} Block I/O fields
+ */
+function extractWindowsStorageFields(stats) {
+  const storageStats = stats.storage_stats || {};
+  const fields = {
+    blkio_read_bytes: storageStats.read_size_bytes,
+    blkio_write_bytes: storageStats.write_size_bytes,
+    blkio_read_ops: storageStats.read_count_normalized,
+    blkio_write_ops: storageStats.write_count_normalized
+  };
+
+  if (fields.blkio_read_bytes !== undefined || fields.blkio_write_bytes !== undefined) {
+    fields.blkio_total_bytes = (fields.blkio_read_bytes || 0) + (fields.blkio_write_bytes || 0);
+  }
+
   return fields;
 }
 
@@ -385,9 +636,10 @@ function extractTimestampFields(stats) {
     }
   }
 
+  // The first sample has no previous one, its preread time is 0001-01-01
   if (stats.preread) {
     const prereadTime = new Date(stats.preread).getTime();
-    if (!Number.isNaN(prereadTime)) {
+    if (prereadTime > 0) {
       fields.preread_time = prereadTime;
     }
   }
@@ -437,16 +689,27 @@ function extractStorageStats(stats) {
  * @returns {Record<string, number>} All available numeric fields
  */
 function extractAllFields(stats) {
-  const allFields = {
-    ...extractTimestampFields(stats),
-    ...extractProcessStats(stats),
-    ...extractStorageStats(stats),
-    ...extractCpuFields(stats),
-    ...extractMemoryFields(stats),
-    ...extractNetworkFields(stats),
-    ...extractBlockIOFields(stats),
-    ...extractPidStats(stats)
-  };
+  const allFields = isWindowsStats(stats)
+    ? {
+        ...extractTimestampFields(stats),
+        ...extractProcessStats(stats),
+        ...extractStorageStats(stats),
+        ...extractWindowsCpuFields(stats),
+        ...extractWindowsMemoryFields(stats),
+        ...extractNetworkFields(stats),
+        ...extractWindowsStorageFields(stats),
+        ...extractPidStats(stats)
+      }
+    : {
+        ...extractTimestampFields(stats),
+        ...extractProcessStats(stats),
+        ...extractStorageStats(stats),
+        ...extractCpuFields(stats),
+        ...extractMemoryFields(stats),
+        ...extractNetworkFields(stats),
+        ...extractBlockIOFields(stats),
+        ...extractPidStats(stats)
+      };
 
   // Remove any undefined or null values
   Object.entries(allFields).forEach(([key, value]) => {
@@ -520,13 +783,21 @@ export function parseStats(stats) {
  */
 export function parseLine(line) {
   try {
-    const data = JSON.parse(line);
-    if (!validateStats(data)) {
-      return null;
-    }
-    return parseStats(data);
+    return parseStatsData(JSON.parse(line));
   } catch (err) {
     log.debug(`Failed to parse stats line: ${err.message}`);
     return null;
   }
 }
+
+/**
+ * Validates and parses a decoded stats object, e.g. from a one-shot stats request
+ * @param {object} data - Decoded Docker stats
+ * @returns {ParsedStats | null} Parsed stats or null if invalid
+ */
+export function parseStatsData(data) {
+  if (!validateStats(data)) {
+    return null;
+  }
+  return parseStats(data);
+}
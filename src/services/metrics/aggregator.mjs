@@ -0,0 +1,191 @@
+/**
+ * Stats Aggregator
+ * Aggregates the samples of each container over fixed time windows
+ * @module services/metrics/aggregator
+ */
+
+/**
+ * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ */
+
+import log from 'loglevel';
+import { isCounterField, isSampleTimeField } from './fields.mjs';
+
+/**
+ * Running aggregate of a gauge field
+ * @typedef {object} GaugeAggregate
+ * @property {number} min - Smallest value
+ * @property {number} max - Largest value
+ * @property {number} sum - Sum of all values
+ * @property {number} count - Number of values
+ * @property {number} last - Most recent value
+ */
+
+/**
+ * Samples of one container within one window
+ * @typedef {object} WindowBucket
+ * @property {number} windowStart - Start of the window (ms since epoch)
+ * @property {string} containerId - Container ID
+ * @property {string} containerName - Container name
+ * @property {Record<string, string>} metadata - Latest metadata tags
+ * @property {number} samples - Number of aggregated samples
+ * @property {Map<string, GaugeAggregate>} gauges - Gauge aggregates
+ * @property {Record<string, number>} last - Last value of counters and sample time fields
+ */
+
+/**
+ * Builds the aggregated stats of a window
+ * Gauges keep their name for the last value and get `_min`, `_max` and `_mean`
+ * companions, counters only keep their last value
+ * @param {WindowBucket} bucket - Window bucket
+ * @returns {ParsedStats} Aggregated stats, timestamped with the window start
+ */
+export function summarizeWindow(bucket) {
+  const stats = { ...bucket.last, sample_count: bucket.samples };
+
+  for (const [field, { min, max, sum, count, last }] of bucket.gauges) {
+    stats[field] = last;
+    stats[`${field}_min`] = min;
+    stats[`${field}_max`] = max;
+    stats[`${field}_mean`] = sum / count;
+  }
+
+  return /** @type {ParsedStats} */ ({ ...stats, timestamp: new Date(bucket.windowStart) });
+}
+
+/**
+ * Creates a stats aggregator
+ * Windows are aligned to the wall clock (e.g. :00, :10, :20 for 10s windows). A
+ * window is emitted when the first sample of the next window arrives, or by the
+ * periodic sweep once it is over, so stopped containers do not keep their last window.
+ * Windows are kept per daemon and container, since container IDs are only unique per daemon
+ * @param {object} options - Aggregator options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {function(string, string, ParsedStats, Record<string, string>): void} options.onWindow - Called with the aggregated stats of every finished window
+ * @returns {object} Aggregator functions
+ * @example
+ * const aggregator = createStatsAggregator({
+ *   windowMs: 10000,
+ *   onWindow: (containerId, containerName, stats, metadata) => queue(stats)
+ * });
+ *
+ * aggregator.add('local', containerId, containerName, parsedStats, metadata);
+ * aggregator.forget('local', containerId);
+ */
+export function createStatsAggregator({ windowMs, onWindow }) {
+  /** @type {Map<string, WindowBucket>} Keyed by daemon and container ID */
+  const buckets = new Map();
+
+  // Samples arrive with a delay, so a window is swept only after one more window has passed
+  const sweepTimer = setInterval(() => flushExpired(Date.now() - windowMs), windowMs);
+  sweepTimer.unref();
+
+  /**
+   * Emits a bucket and forgets it
+   * @param {string} key - Bucket key
+   * @param {WindowBucket} bucket - Bucket to emit
+   */
+  function emit(key, bucket) {
+    const { containerId, containerName, metadata } = bucket;
+    buckets.delete(key);
+    try {
+      onWindow(containerId, containerName, summarizeWindow(bucket), metadata);
+    } catch (err) {
+      log.error(`Error emitting aggregated stats for container=${containerId}:`, err);
+    }
+  }
+
+  /**
+   * Emits all buckets whose window ended before the given time
+   * @param {number} before - Time in ms since epoch
+   */
+  function flushExpired(before) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.windowStart + windowMs <= before) {
+        emit(key, bucket);
+      }
+    }
+  }
+
+  /**
+   * Adds a sample to the window of its container
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @param {ParsedStats} parsedStats - Parsed Docker stats
+   * @param {Record<string, string>} metadata - Container metadata tags
+   */
+  function add(dockerHost, containerId, containerName, parsedStats, metadata) {
+    const { timestamp, ...fields } = parsedStats;
+    const windowStart = Math.floor(timestamp.getTime() / windowMs) * windowMs;
+    const key = `${dockerHost}/${containerId}`;
+
+    let bucket = buckets.get(key);
+    if (bucket && bucket.windowStart !== windowStart) {
+      emit(key, bucket);
+      bucket = undefined;
+    }
+    if (!bucket) {
+      bucket = {
+        windowStart,
+        containerId,
+        containerName,
+        metadata,
+        samples: 0,
+        gauges: new Map(),
+        last: {}
+      };
+      buckets.set(key, bucket);
+    }
+
+    bucket.samples++;
+    bucket.metadata = metadata;
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+      if (isCounterField(field) || isSampleTimeField(field)) {
+        bucket.last[field] = value;
+        continue;
+      }
+
+      const gauge = bucket.gauges.get(field);
+      if (gauge) {
+        gauge.min = Math.min(gauge.min, value);
+        gauge.max = Math.max(gauge.max, value);
+        gauge.sum += value;
+        gauge.count++;
+        gauge.last = value;
+      } else {
+        bucket.gauges.set(field, { min: value, max: value, sum: value, count: 1, last: value });
+      }
+    }
+  }
+
+  /**
+   * Emits the open window of a container that is no longer watched, even if it is unfinished
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   */
+  function forget(dockerHost, containerId) {
+    const key = `${dockerHost}/${containerId}`;
+    const bucket = buckets.get(key);
+    if (bucket) {
+      emit(key, bucket);
+    }
+  }
+
+  /**
+   * Emits all open windows, including unfinished ones, and stops the sweep
+   */
+  function flush() {
+    clearInterval(sweepTimer);
+    flushExpired(Infinity);
+  }
+
+  return {
+    add,
+    forget,
+    flush
+  };
+}
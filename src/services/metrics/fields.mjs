@@ -0,0 +1,99 @@
+/**
+ * Stats Field Kinds
+ * Classifies stats fields into cumulative counters and gauges, and into resource groups
+ * @module services/metrics/fields
+ */
+
+/**
+ * @typedef {('cpu'|'memory'|'network'|'blkio'|'pids')} FieldGroup
+ */
+
+/**
+ * Field name patterns for cumulative values
+ * Every other numeric field is a gauge
+ * @type {RegExp[]}
+ */
+const COUNTER_FIELD_PATTERNS = [
+  /^net_.*_(bytes|packets|errors|dropped)$/,
+  /^blkio_/,
+  /^cpu_(total_usage|system_usage|usage_in_kernelmode|usage_in_usermode|\d+_usage)$/,
+  /^cpu_(throttling_periods|throttled_periods|throttled_time)$/,
+  /^mem_(total_)?(pgfault|pgmajfault|pgpgin|pgpgout)$/,
+  /^mem_(pgscan|pgsteal|pgrefill|pgactivate|pgdeactivate|pglazyfree|pglazyfreed)$/,
+  /^mem_(workingset_\w+|thp_fault_alloc|thp_collapse_alloc)$/,
+  /^mem_failcnt$/
+];
+
+/**
+ * Suffix of derived per-second rates, which are gauges even if their source is a counter
+ */
+const RATE_SUFFIX = '_per_sec';
+
+/**
+ * Fields that describe the sample itself rather than the container
+ * @type {Set<string>}
+ */
+const SAMPLE_TIME_FIELDS = new Set(['read_time', 'preread_time']);
+
+/**
+ * Pattern of the per-device block I/O fields `blkio_<major>_<minor>_<field>`, including their
+ * derived and aggregated companions (`_per_sec`, `_min`, ...)
+ */
+const BLKIO_DEVICE_FIELD_PATTERN = /^blkio_(\d+)_(\d+)_((?:read|write)_(?:bytes|ops)(?:_.+)?)$/;
+
+/**
+ * Field name patterns of the resource groups
+ * The prefixes are the ones of the `extract*Fields` helpers in `services/docker/validation.mjs`,
+ * derived and aggregated fields share the prefix of their source field
+ * @type {Array<[FieldGroup, RegExp]>}
+ */
+const FIELD_GROUP_PATTERNS = [
+  ['cpu', /^cpu_/],
+  ['memory', /^mem_/],
+  ['network', /^net_/],
+  ['blkio', /^blkio_/],
+  ['pids', /^(pids_|num_procs$)/]
+];
+
+/**
+ * Checks whether a stats field is a cumulative counter
+ * @param {string} field - Stats field name
+ * @returns {boolean} Whether the field is a counter
+ */
+export function isCounterField(field) {
+  return (
+    !field.endsWith(RATE_SUFFIX) && COUNTER_FIELD_PATTERNS.some(pattern => pattern.test(field))
+  );
+}
+
+/**
+ * Checks whether a stats field holds the time of the sample
+ * @param {string} field - Stats field name
+ * @returns {boolean} Whether the field is a sample time
+ */
+export function isSampleTimeField(field) {
+  return SAMPLE_TIME_FIELDS.has(field);
+}
+
+/**
+ * Determines the resource group of a stats field
+ * @param {string} field - Stats field name
+ * @returns {FieldGroup | null} Resource group, null for fields outside the groups (e.g. `read_time`)
+ */
+export function getFieldGroup(field) {
+  const entry = FIELD_GROUP_PATTERNS.find(([, pattern]) => pattern.test(field));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Splits a per-device block I/O field into its device and the field name within the device
+ * The parser keys per-device values by device number so they pass the rate calculator and the
+ * aggregator like every other field; they are only written tagged with their device
+ * @param {string} field - Stats field name, e.g. `blkio_8_0_read_bytes`
+ * @returns {{ device: string, field: string } | null} Device (`major:minor`) and field name, e.g.
+ * `{ device: '8:0', field: 'read_bytes' }`, null for other fields
+ */
+export function splitBlkioDeviceField(field) {
+  const match = BLKIO_DEVICE_FIELD_PATTERN.exec(field);
+  return match ? { device: `${match[1]}:${match[2]}`, field: match[3] } : null;
+}
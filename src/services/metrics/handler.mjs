@@ -1,95 +1,283 @@
 /**
  * Metrics Handler Service
- * Transforms Docker stats into InfluxDB data points and manages metrics batching
+ * Transforms Docker stats into data points and fans them out to the configured sinks
  * @module services/metrics/handler
  */
 
 /**
  * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ * @typedef {import('@types/docker.mjs').DockerEvent} DockerEvent
+ * @typedef {import('./sinks/index.mjs').Sink} Sink
+ * @typedef {import('./sinks/index.mjs').SinkConfig} SinkConfig
  */
 
+import path from 'node:path';
 import log from 'loglevel';
-import { InfluxDB } from 'influx';
 import { createMetricsBatcher } from '../../utils/batch.mjs';
-import { createRetryableInflux } from '../../utils/influx.mjs';
-import { transformStats, validatePoints } from './transformer.mjs';
+import { isPermanentWriteError } from '../../utils/influx.mjs';
+import { createDiskSpool } from '../../utils/spool.mjs';
+import { getCounters } from '../../utils/self-metrics.mjs';
+import { createBlockDeviceResolver } from '../docker/block-devices.mjs';
+import { createStatsAggregator } from './aggregator.mjs';
+import { createRateCalculator } from './rates.mjs';
+import { createSink } from './sinks/index.mjs';
+import {
+  transformEvent,
+  transformSelfMetrics,
+  transformStats,
+  validatePoints
+} from './transformer.mjs';
 
 /**
  * Creates a new metrics handler instance
+ * Every sink gets its own batcher, so a slow or failing sink cannot stall the others
  * @param {object} config - Configuration object
- * @param {object} config.influx - InfluxDB configuration
- * @param {string} config.influx.host - InfluxDB host
- * @param {number} config.influx.port - InfluxDB port
- * @param {('http'|'https')} config.influx.protocol - InfluxDB protocol
- * @param {string} config.influx.username - InfluxDB username
- * @param {string} config.influx.password - InfluxDB password
- * @param {string} config.influx.database - InfluxDB database
- * @param {object} config.influx.retry - Retry configuration
- * @param {object} config.batch - Batch configuration
+ * @param {SinkConfig[]} config.sinks - Enabled sinks with their InfluxDB, retry and batch settings
+ * @param {import('@types/config.mjs').SpoolConfig} config.spool - Disk spool configuration
+ * @param {number} config.selfMetricsIntervalMs - Interval for writing self metrics (0 = disabled)
+ * @param {number} config.aggregationWindowMs - Window for aggregating samples per container (0 = disabled)
+ * @param {boolean} config.derivedRates - Whether per-second rates are derived from cumulative counters
+ * @param {import('./transformer.mjs').StatsSchema} config.statsSchema - Measurement layout of the stats points
+ * @param {boolean} config.blkioDeviceNames - Whether block devices are tagged with their name from sysfs
+ * @param {object} [callbacks] - Handler callbacks
+ * @param {function(boolean): void} [callbacks.onPressureChange] - Called with true once every sink is above its
+ * high-water mark and with false once one of them drained below its low-water mark
  * @returns {object} Metrics handler functions
  */
-export function createMetricsHandler(config) {
-  const influx = createRetryableInflux(
-    new InfluxDB({
-      host: config.influx.host,
-      port: config.influx.port,
-      protocol: /** @type {('http'|'https')} */ (config.influx.protocol),
-      username: config.influx.username,
-      password: config.influx.password,
-      database: config.influx.database
-    }),
-    config.influx.retry
-  );
-
-  const metricsBatcher = createMetricsBatcher(influx, {
-    maxSize: config.batch.maxSize,
-    maxWaitMs: config.batch.maxWaitMs
+export function createMetricsHandler(config, { onPressureChange = () => {} } = {}) {
+  /** @type {Set<string>} Names of the sinks currently applying backpressure */
+  const pressuredSinks = new Set();
+  let paused = false;
+
+  /** @type {Array<{ sink: Sink, batcher: import('../../utils/batch.mjs').MetricsBatcher }>} */
+  let outputs = config.sinks.map(sinkConfig => {
+    const sink = createSink(sinkConfig);
+    const spool = config.spool.enabled
+      ? createDiskSpool({
+          directory: path.join(config.spool.directory, sinkConfig.name),
+          maxSegmentBytes: config.spool.maxSegmentBytes,
+          maxTotalBytes: config.spool.maxTotalBytes,
+          maxAgeMs: config.spool.maxAgeMs
+        })
+      : null;
+    const batcher = createMetricsBatcher(
+      { writePoints: points => sink.write(points) },
+      {
+        maxSize: sinkConfig.batch.maxSize,
+        maxWaitMs: sinkConfig.batch.maxWaitMs,
+        name: sinkConfig.name,
+        maxBufferedPoints: sinkConfig.batch.maxBufferedPoints,
+        overflowPolicy: sinkConfig.batch.overflowPolicy,
+        downsampleFactor: sinkConfig.batch.downsampleFactor,
+        highWaterMark: sinkConfig.batch.highWaterMark,
+        lowWaterMark: sinkConfig.batch.lowWaterMark,
+        onPressureChange: underPressure => updateSinkPressure(sinkConfig.name, underPressure),
+        spool,
+        healthCheck: () => sink.health(),
+        isPermanentError: isPermanentWriteError,
+        replayIntervalMs: config.spool.replayIntervalMs
+      }
+    );
+    return { sink, batcher };
   });
+  let selfMetricsInterval = null;
+  const rates = config.derivedRates ? createRateCalculator() : null;
+  const resolveDeviceName = config.blkioDeviceNames ? createBlockDeviceResolver() : undefined;
+  const aggregator =
+    config.aggregationWindowMs > 0
+      ? createStatsAggregator({
+          windowMs: config.aggregationWindowMs,
+          onWindow: (containerId, containerName, stats, metadata) => {
+            try {
+              queueStats(containerId, containerName, stats, metadata);
+            } catch (err) {
+              log.error(`Error queueing aggregated stats for container=${containerId}:`, err);
+            }
+          }
+        })
+      : null;
 
   /**
-   * Initializes the InfluxDB database
-   * @param {string} database - Database name
-   * @returns {Promise<void>}
-   * @throws {Error} If database initialization fails
+   * Tracks the backpressure of a sink and notifies when the overall state changes
+   * @param {string} name - Sink name
+   * @param {boolean} underPressure - Whether the sink applies backpressure
    */
-  async function initDatabase(database) {
-    try {
-      const existing = await influx.getDatabaseNames();
-      if (!existing.includes(database)) {
-        log.info(`Creating InfluxDB database: ${database}`);
-        await influx.createDatabase(database);
-      } else {
-        log.info(`InfluxDB database already exists: ${database}`);
+  function updateSinkPressure(name, underPressure) {
+    if (underPressure) {
+      pressuredSinks.add(name);
+    } else {
+      pressuredSinks.delete(name);
+    }
+    updatePressure();
+  }
+
+  /**
+   * Pauses the stats collection once every sink applies backpressure and resumes it once one
+   * caught up. A single stalled sink does not hold back the healthy ones; its points are
+   * limited by its buffer and overflow policy instead
+   */
+  function updatePressure() {
+    const allPressured =
+      outputs.length > 0 && outputs.every(({ sink }) => pressuredSinks.has(sink.name));
+    if (allPressured === paused) return;
+
+    paused = allPressured;
+    if (paused) {
+      log.warn('All sinks are behind, pausing stats collection until one catches up');
+    } else {
+      log.info('A sink caught up, resuming stats collection');
+    }
+    onPressureChange(paused);
+  }
+
+  /**
+   * Checks whether stats collection should currently be paused
+   * @returns {boolean} True while every sink applies backpressure
+   */
+  function isUnderPressure() {
+    return paused;
+  }
+
+  /**
+   * Queues points to every sink
+   * A sink that rejects the points is logged and skipped
+   * @param {import('../../utils/batch.mjs').Point[]} points - Points to queue
+   * @returns {number} Number of sinks that accepted the points
+   */
+  function queuePoints(points) {
+    let queued = 0;
+    for (const { sink, batcher } of outputs) {
+      try {
+        batcher.add(points);
+        queued++;
+      } catch (err) {
+        log.warn(`Failed to queue ${points.length} points to ${sink.name}:`, err.message);
       }
-    } catch (err) {
-      log.error('Fatal error initializing InfluxDB:', err);
-      throw err;
+    }
+    return queued;
+  }
+
+  /**
+   * Writes the current self metrics counters to the sinks
+   */
+  function writeSelfMetrics() {
+    const points = transformSelfMetrics(getCounters(), new Date());
+    if (points.length > 0) {
+      queuePoints(points);
     }
   }
 
   /**
-   * Handles parsed Docker stats and queues them for writing to InfluxDB
+   * Initializes all sinks
+   * Sinks that fail to initialize are disabled, the handler fails only if none is left
+   * @returns {Promise<void>}
+   * @throws {Error} If no sink could be initialized
+   */
+  async function init() {
+    const results = await Promise.allSettled(outputs.map(({ sink }) => sink.init()));
+
+    const failed = outputs.filter((_, index) => results[index].status === 'rejected');
+    outputs = outputs.filter((_, index) => results[index].status === 'fulfilled');
+
+    for (const { sink, batcher } of failed) {
+      log.error(`Sink ${sink.name} failed to initialize and is disabled`);
+      pressuredSinks.delete(sink.name);
+      await batcher.shutdown();
+      await sink.close();
+    }
+    updatePressure();
+
+    if (outputs.length === 0) {
+      throw new Error('No metrics sink could be initialized');
+    }
+
+    log.info(`Metrics sinks enabled: ${outputs.map(({ sink }) => sink.name).join(', ')}`);
+
+    if (config.selfMetricsIntervalMs > 0) {
+      selfMetricsInterval = setInterval(writeSelfMetrics, config.selfMetricsIntervalMs);
+      selfMetricsInterval.unref();
+    }
+  }
+
+  /**
+   * Transforms stats into points and queues them to every sink
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @param {ParsedStats} parsedStats - Parsed or aggregated Docker stats
+   * @param {Record<string, string>} metadata - Container metadata tags
+   * @throws {Error} If the points are invalid or no sink accepted them
+   */
+  function queueStats(containerId, containerName, parsedStats, metadata) {
+    const points = transformStats(containerId, containerName, parsedStats, metadata, {
+      schema: config.statsSchema,
+      resolveDeviceName
+    });
+
+    if (!validatePoints(points)) {
+      throw new Error('Invalid points generated from parsedStats');
+    }
+
+    if (queuePoints(points) === 0) {
+      throw new Error(`Failed to queue stats for container=${containerId} to any sink`);
+    }
+
+    log.debug(
+      `container=${containerId} name=${containerName} queued stats at ${parsedStats.timestamp.toISOString()}`
+    );
+  }
+
+  /**
+   * Handles parsed Docker stats and queues them for writing to every sink
+   * Rates are derived before aggregation, so windows hold min/max/mean of every rate.
+   * With aggregation enabled, the sample is added to its window instead. Both keep their
+   * state per daemon (the `docker_host` tag) and container
    * @param {string} containerId - Container ID
    * @param {string} containerName - Container name
    * @param {ParsedStats} parsedStats - Parsed Docker stats
+   * @param {Record<string, string>} [metadata] - Container metadata tags
    * @returns {Promise<void>}
    */
-  async function handleStats(containerId, containerName, parsedStats) {
-    const points = transformStats(containerId, containerName, parsedStats);
+  async function handleStats(containerId, containerName, parsedStats, metadata = {}) {
+    const dockerHost = metadata.docker_host ?? '';
+    const stats = rates ? rates.apply(dockerHost, containerId, parsedStats) : parsedStats;
+
+    if (aggregator) {
+      aggregator.add(dockerHost, containerId, containerName, stats, metadata);
+      return;
+    }
+
+    queueStats(containerId, containerName, stats, metadata);
+  }
+
+  /**
+   * Forgets the per-container state of a container that is no longer watched
+   * Its open aggregation window is written right away instead of waiting for the sweep
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   */
+  function forgetContainer(dockerHost, containerId) {
+    rates?.forget(dockerHost, containerId);
+    aggregator?.forget(dockerHost, containerId);
+  }
+
+  /**
+   * Handles a Docker container event and queues it for writing to every sink
+   * @param {DockerEvent} event - Docker event
+   * @param {Record<string, string>} [metadata] - Additional tags, e.g. `docker_host`
+   * @returns {Promise<void>}
+   */
+  async function handleEvent(event, metadata = {}) {
+    const points = transformEvent(event, metadata);
 
     if (!validatePoints(points)) {
-      throw new Error('Invalid points generated from parsedStats');
+      throw new Error('Invalid points generated from Docker event');
     }
 
-    try {
-      metricsBatcher.add(points);
-      log.debug(
-        `container=${containerId} name=${containerName} queued stats at ${parsedStats.timestamp.toISOString()}`
-      );
-    } catch (err) {
-      log.warn(`Failed to queue stats for container=${containerId}:`, err.message);
-      throw err; // Let the caller handle the error
+    if (queuePoints(points) === 0) {
+      throw new Error(`Failed to queue event ${points[0].tags.action} to any sink`);
     }
+
+    log.debug(`container=${points[0].tags.container_id} queued event ${points[0].tags.action}`);
   }
 
   /**
@@ -98,13 +286,27 @@ export function createMetricsHandler(config) {
    */
   async function shutdown() {
     log.info('Shutting down metrics handler...');
-    await metricsBatcher.shutdown();
-    await influx.close();
+    // Partial windows are written rather than lost
+    aggregator?.flush();
+    if (selfMetricsInterval) {
+      clearInterval(selfMetricsInterval);
+      selfMetricsInterval = null;
+      writeSelfMetrics();
+    }
+    await Promise.allSettled(
+      outputs.map(async ({ sink, batcher }) => {
+        await batcher.shutdown();
+        await sink.close();
+      })
+    );
   }
 
   return {
-    initDatabase,
+    init,
     handleStats,
+    handleEvent,
+    forgetContainer,
+    isUnderPressure,
     shutdown
   };
 }
@@ -0,0 +1,249 @@
+/**
+ * Prometheus Exporter
+ * Serves the latest parsed stats sample per container in Prometheus text exposition format
+ * @module services/metrics/prometheus
+ */
+
+/**
+ * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ */
+
+import http from 'node:http';
+import log from 'loglevel';
+import { getCounters } from '../../utils/self-metrics.mjs';
+import { isCounterField, isSampleTimeField, splitBlkioDeviceField } from './fields.mjs';
+
+const METRIC_PREFIX = 'docker_';
+const SELF_METRIC_PREFIX = 'docker_stats_service_';
+
+/**
+ * Determines the Prometheus metric type of a stats field
+ * @param {string} field - Stats field name
+ * @returns {'counter'|'gauge'} Metric type
+ */
+function getMetricType(field) {
+  return isCounterField(field) ? 'counter' : 'gauge';
+}
+
+/**
+ * Builds a valid Prometheus metric name for a stats field
+ * Counters get the conventional `_total` suffix
+ * @param {string} field - Stats field name
+ * @param {'counter'|'gauge'} type - Metric type
+ * @returns {string} Metric name
+ */
+function getMetricName(field, type) {
+  const name = `${METRIC_PREFIX}${field}`.replace(/[^a-zA-Z0-9_:]/g, '_');
+  return type === 'counter' ? `${name}_total` : name;
+}
+
+/**
+ * Escapes a label value for the text exposition format
+ * @param {string} value - Label value
+ * @returns {string} Escaped label value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set
+ * @param {Record<string, string>} labels - Labels
+ * @returns {string} Formatted label set, e.g. `{container_id="abc"}`
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Determines the metric family and series of a stats field
+ * Per-device block I/O fields become `docker_blkio_device_*` series with a `device` label
+ * @param {string} field - Stats field name
+ * @param {Record<string, string>} labels - Labels of the container
+ * @param {string} formattedLabels - Formatted labels of the container
+ * @returns {{ type: 'counter'|'gauge', name: string, series: string }} Metric type, name and series
+ */
+function getSeries(field, labels, formattedLabels) {
+  const type = getMetricType(field);
+  const deviceField = splitBlkioDeviceField(field);
+  if (!deviceField) {
+    const name = getMetricName(field, type);
+    return { type, name, series: `${name}${formattedLabels}` };
+  }
+
+  const name = getMetricName(`blkio_device_${deviceField.field}`, type);
+  return {
+    type,
+    name,
+    series: `${name}${formatLabels({ ...labels, device: deviceField.device })}`
+  };
+}
+
+/**
+ * Renders container samples in Prometheus text exposition format
+ * @param {Map<string, { labels: Record<string, string>, stats: ParsedStats }>} samples - Latest sample per container
+ * @returns {string} Exposition text
+ */
+export function renderMetrics(samples) {
+  /** @type {Map<string, { type: string, lines: string[] }>} */
+  const families = new Map();
+
+  for (const { labels, stats } of samples.values()) {
+    const formattedLabels = formatLabels(labels);
+
+    // The sample timestamp is a Date and is skipped by the numeric check
+    for (const [field, value] of Object.entries(stats)) {
+      if (isSampleTimeField(field) || typeof value !== 'number' || !Number.isFinite(value)) {
+        continue;
+      }
+
+      const { type, name, series } = getSeries(field, labels, formattedLabels);
+      if (!families.has(name)) {
+        families.set(name, { type, lines: [] });
+      }
+      families.get(name).lines.push(`${series} ${value}`);
+    }
+  }
+
+  const output = [];
+  for (const [name, { type, lines }] of families) {
+    output.push(`# TYPE ${name} ${type}`, ...lines);
+  }
+
+  return output.length > 0 ? `${output.join('\n')}\n` : '';
+}
+
+/**
+ * Renders the service's own counters in Prometheus text exposition format
+ * @param {import('../../utils/self-metrics.mjs').Counter[]} counters - Counter snapshot
+ * @returns {string} Exposition text
+ */
+export function renderSelfMetrics(counters) {
+  /** @type {Map<string, string[]>} */
+  const families = new Map();
+
+  for (const { name, labels, value } of counters) {
+    const metricName = `${SELF_METRIC_PREFIX}${name}_total`.replace(/[^a-zA-Z0-9_:]/g, '_');
+    if (!families.has(metricName)) {
+      families.set(metricName, []);
+    }
+    const formattedLabels = Object.keys(labels).length > 0 ? formatLabels(labels) : '';
+    families.get(metricName).push(`${metricName}${formattedLabels} ${value}`);
+  }
+
+  const output = [];
+  for (const [name, lines] of families) {
+    output.push(`# TYPE ${name} counter`, ...lines);
+  }
+
+  return output.length > 0 ? `${output.join('\n')}\n` : '';
+}
+
+/**
+ * Creates a Prometheus exporter
+ * @param {object} options - Exporter options
+ * @param {string} options.host - Address to listen on
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.path - HTTP path that serves the metrics
+ * @returns {object} Prometheus exporter functions
+ * @example
+ * const exporter = createPrometheusExporter({ host: '0.0.0.0', port: 9487, path: '/metrics' });
+ * await exporter.start();
+ *
+ * exporter.update('local', containerId, containerName, parsedStats);
+ * exporter.remove('local', containerId);
+ *
+ * await exporter.stop();
+ */
+export function createPrometheusExporter({ host, port, path }) {
+  /** @type {Map<string, { labels: Record<string, string>, stats: ParsedStats }>} Keyed by daemon and container ID */
+  const samples = new Map();
+  let server = null;
+
+  /**
+   * Stores the latest sample of a container
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   * @param {string} containerName - Container name
+   * @param {ParsedStats} parsedStats - Parsed Docker stats
+   */
+  function update(dockerHost, containerId, containerName, parsedStats) {
+    samples.set(`${dockerHost}/${containerId}`, {
+      labels: { container_id: containerId, container_name: containerName, docker_host: dockerHost },
+      stats: parsedStats
+    });
+  }
+
+  /**
+   * Drops the series of a container that is no longer watched
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   */
+  function remove(dockerHost, containerId) {
+    samples.delete(`${dockerHost}/${containerId}`);
+  }
+
+  /**
+   * Handles an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' || pathname !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics(samples) + renderSelfMetrics(getCounters()));
+  }
+
+  /**
+   * Starts the HTTP server
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    if (server) {
+      return;
+    }
+
+    server = http.createServer(handleRequest);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    log.info(`Prometheus exporter listening on http://${host}:${port}${path}`);
+  }
+
+  /**
+   * Stops the HTTP server
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!server) {
+      return;
+    }
+
+    log.info('Stopping Prometheus exporter...');
+    const closingServer = server;
+    server = null;
+    closingServer.closeAllConnections();
+    await new Promise(resolve => closingServer.close(() => resolve()));
+    samples.clear();
+  }
+
+  return {
+    update,
+    remove,
+    start,
+    stop
+  };
+}
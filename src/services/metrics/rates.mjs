@@ -0,0 +1,112 @@
+/**
+ * Derived Rates
+ * Turns cumulative counters into per-second rates using the previous sample of each container
+ * @module services/metrics/rates
+ */
+
+/**
+ * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ */
+
+import { isCounterField } from './fields.mjs';
+
+/**
+ * Counters that get no `_per_sec` field, CPU usage is already covered by `cpu_percent`
+ * and the throttling periods by `cpu_throttled_ratio`
+ */
+const RATE_EXCLUDED_FIELD_PATTERN =
+  /^cpu_(total_usage|system_usage|usage_in_kernelmode|usage_in_usermode|\d+_usage|throttling_periods|throttled_periods)$/;
+
+/**
+ * Checks whether a stats field gets a derived `_per_sec` field
+ * @param {string} field - Stats field name
+ * @returns {boolean} Whether a rate is derived for the field
+ */
+export function isRateField(field) {
+  return isCounterField(field) && !RATE_EXCLUDED_FIELD_PATTERN.test(field);
+}
+
+/**
+ * Computes the derived fields of a sample from the previous sample of the same container
+ * A counter that went down was reset (e.g. the container restarted) and gets no rate for
+ * this sample; the next sample continues from the new value
+ * @param {ParsedStats} previous - Previous sample
+ * @param {ParsedStats} current - Current sample
+ * @returns {Record<string, number>} Derived fields
+ */
+export function deriveRates(previous, current) {
+  const elapsedSec = (current.timestamp.getTime() - previous.timestamp.getTime()) / 1000;
+  if (elapsedSec <= 0) {
+    return {};
+  }
+
+  const derived = {};
+  for (const [field, value] of Object.entries(current)) {
+    if (typeof value !== 'number' || !isRateField(field)) continue;
+
+    const delta = value - previous[field];
+    if (delta >= 0) {
+      derived[`${field}_per_sec`] = delta / elapsedSec;
+    }
+  }
+
+  // Share of the CFS periods in which the container was throttled
+  const periods = current.cpu_throttling_periods - previous.cpu_throttling_periods;
+  const throttled = current.cpu_throttled_periods - previous.cpu_throttled_periods;
+  if (periods >= 0 && throttled >= 0) {
+    derived.cpu_throttled_ratio = periods > 0 ? throttled / periods : 0;
+  }
+
+  return derived;
+}
+
+/**
+ * Creates a rate calculator
+ * The first sample of a container has no predecessor and is passed on without rates.
+ * Samples are kept per daemon and container, since container IDs are only unique per daemon
+ * @returns {object} Rate calculator functions
+ * @example
+ * const rates = createRateCalculator();
+ *
+ * const statsWithRates = rates.apply('local', containerId, parsedStats);
+ * // { ..., net_in_bytes: 1574, net_in_bytes_per_sec: 12.5, cpu_throttled_ratio: 0.2 }
+ *
+ * rates.forget('local', containerId);
+ */
+export function createRateCalculator() {
+  /** @type {Map<string, ParsedStats>} Keyed by daemon and container ID */
+  const previousSamples = new Map();
+
+  /**
+   * Adds the derived rates to a sample and remembers it for the next one
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   * @param {ParsedStats} parsedStats - Parsed Docker stats
+   * @returns {ParsedStats} Stats including the derived fields
+   */
+  function apply(dockerHost, containerId, parsedStats) {
+    const key = `${dockerHost}/${containerId}`;
+    const previous = previousSamples.get(key);
+    previousSamples.set(key, parsedStats);
+
+    if (!previous) {
+      return parsedStats;
+    }
+
+    return { ...parsedStats, ...deriveRates(previous, parsedStats) };
+  }
+
+  /**
+   * Forgets the previous sample of a container, e.g. once it stopped
+   * @param {string} dockerHost - Name of the daemon running the container
+   * @param {string} containerId - Container ID
+   */
+  function forget(dockerHost, containerId) {
+    previousSamples.delete(`${dockerHost}/${containerId}`);
+  }
+
+  return {
+    apply,
+    forget
+  };
+}
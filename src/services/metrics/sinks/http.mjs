@@ -0,0 +1,115 @@
+/**
+ * HTTP Line Protocol Sink
+ * Writes points as line protocol to any InfluxDB compatible write endpoint, e.g.
+ * VictoriaMetrics, QuestDB or a Telegraf listener
+ * @module services/metrics/sinks/http
+ */
+
+/**
+ * @typedef {import('./index.mjs').Sink} Sink
+ * @typedef {import('./index.mjs').SinkConfig} SinkConfig
+ */
+
+import log from 'loglevel';
+import { createInfluxRetry } from '../../../utils/influx.mjs';
+import { serializePoints } from '../../../utils/line-protocol.mjs';
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Creates an HTTP line protocol sink
+ * Points are posted with millisecond precision and retried like InfluxDB writes. The health
+ * check requests `healthUrl`; without one the endpoint is assumed healthy and a failed replay
+ * write waits for the next attempt instead
+ * @param {SinkConfig} sinkConfig - Sink configuration, `sinkConfig.http` holds the endpoint settings
+ * @returns {Sink} HTTP sink
+ * @example
+ * const sink = createHttpSink({
+ *   name: 'http',
+ *   type: 'http',
+ *   writeTimeoutMs: 10000,
+ *   http: {
+ *     url: 'http://victoriametrics:8428/write',
+ *     token: '',
+ *     healthUrl: 'http://victoriametrics:8428/health',
+ *     retry: { maxRetries: 5, initialDelayMs: 1000, maxDelayMs: 10000, backoffFactor: 2 }
+ *   },
+ *   batch: { ... }
+ * });
+ */
+export function createHttpSink(sinkConfig) {
+  const { name, writeTimeoutMs, http } = sinkConfig;
+  const writeUrl = new URL(http.url);
+  if (!writeUrl.searchParams.has('precision')) {
+    writeUrl.searchParams.set('precision', 'ms');
+  }
+  const healthUrl = http.healthUrl ? new URL(http.healthUrl) : null;
+  const headers = http.token ? { Authorization: `Bearer ${http.token}` } : {};
+  const retry = createInfluxRetry(http.retry);
+
+  /**
+   * Performs an HTTP request against the endpoint
+   * Network errors are rethrown with their cause code in the message, like the InfluxDB clients
+   * @param {URL} url - Request URL
+   * @param {object} options - Request options
+   * @param {string} [options.method] - HTTP method
+   * @param {string} [options.body] - Request body
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} If the request fails or returns a non-2xx status
+   */
+  async function request(url, { method = 'GET', body, timeoutMs }) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        body,
+        headers: { ...headers, 'Content-Type': 'text/plain; charset=utf-8' },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      const code = err.cause?.code || err.name;
+      throw new Error(`[${name}] ${method} ${url.pathname} failed: ${err.message} (${code})`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const error = new Error(
+        `[${name}] ${method} ${url.pathname} failed with status ${response.status}: ${text || response.statusText}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  return {
+    name,
+
+    async init() {
+      log.info(`[${name}] Writing line protocol to ${writeUrl.origin}${writeUrl.pathname}`);
+    },
+
+    async write(points) {
+      const body = serializePoints(points);
+      if (!body) {
+        return;
+      }
+      await retry.run(() => request(writeUrl, { method: 'POST', body, timeoutMs: writeTimeoutMs }));
+    },
+
+    async health() {
+      if (!healthUrl) {
+        return true;
+      }
+      try {
+        await request(healthUrl, { timeoutMs: HEALTH_TIMEOUT_MS });
+        return true;
+      } catch (err) {
+        log.debug(`[${name}] Health check failed: ${err.message}`);
+        return false;
+      }
+    },
+
+    close: () => retry.close()
+  };
+}
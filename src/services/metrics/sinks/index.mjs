@@ -0,0 +1,52 @@
+/**
+ * Metrics Sinks
+ * Sink abstraction and registry of available sink types
+ * @module services/metrics/sinks
+ */
+
+import { createInfluxSink } from './influxdb.mjs';
+import { createHttpSink } from './http.mjs';
+
+/**
+ * A destination for metrics points
+ * @typedef {object} Sink
+ * @property {string} name - Unique sink name, used in logs
+ * @property {function(): Promise<void>} init - Prepares the destination (e.g. creates the database)
+ * @property {function(import('../../../utils/batch.mjs').Point[]): Promise<void>} write - Writes a batch of points
+ * @property {function(): Promise<boolean>} health - Checks whether the destination is reachable, never throws
+ * @property {function(): Promise<void>} close - Releases the sink's resources
+ */
+
+/**
+ * Sink configuration
+ * @typedef {object} SinkConfig
+ * @property {string} name - Unique sink name
+ * @property {string} type - Sink type, one of the keys of {@link SINK_FACTORIES}
+ * @property {number} writeTimeoutMs - Timeout of a single write request
+ * @property {import('@types/config.mjs').InfluxConfig} [influx] - InfluxDB settings for `influxdb` sinks
+ * @property {import('@types/config.mjs').HttpSinkConfig} [http] - Endpoint settings for `http` sinks
+ * @property {import('@types/config.mjs').BatchConfig} batch - Batching settings for this sink
+ */
+
+/**
+ * Factories for each supported sink type
+ * @type {Record<string, function(SinkConfig): Sink>}
+ */
+const SINK_FACTORIES = {
+  influxdb: createInfluxSink,
+  http: createHttpSink
+};
+
+/**
+ * Creates a sink from its configuration
+ * @param {SinkConfig} sinkConfig - Sink configuration
+ * @returns {Sink} Sink instance
+ * @throws {Error} If the sink type is unknown
+ */
+export function createSink(sinkConfig) {
+  const factory = SINK_FACTORIES[sinkConfig.type];
+  if (!factory) {
+    throw new Error(`Unknown sink type: ${sinkConfig.type}`);
+  }
+  return factory(sinkConfig);
+}
@@ -0,0 +1,136 @@
+/**
+ * InfluxDB Sink
+ * Writes points to InfluxDB 1.x (database) or 2.x/3.x (bucket)
+ * @module services/metrics/sinks/influxdb
+ */
+
+/**
+ * @typedef {import('./index.mjs').Sink} Sink
+ * @typedef {import('./index.mjs').SinkConfig} SinkConfig
+ */
+
+import log from 'loglevel';
+import { InfluxDB } from 'influx';
+import { createRetryableInflux, createRetryableInfluxV2 } from '../../../utils/influx.mjs';
+import { createInfluxV2Client } from '../../../utils/influx-v2.mjs';
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Creates a retryable InfluxDB client for the configured major version
+ * @param {object} influxConfig - InfluxDB configuration
+ * @param {number} writeTimeoutMs - Request timeout of writes and other API calls
+ * @returns {import('../../../utils/influx.mjs').RetryableInflux | import('../../../utils/influx.mjs').RetryableInfluxV2} Retryable InfluxDB client
+ */
+function createInfluxClient(influxConfig, writeTimeoutMs) {
+  if (influxConfig.version >= 2) {
+    return createRetryableInfluxV2(
+      createInfluxV2Client({
+        host: influxConfig.host,
+        port: influxConfig.port,
+        protocol: influxConfig.protocol,
+        token: influxConfig.token,
+        org: influxConfig.org,
+        bucket: influxConfig.bucket,
+        timeoutMs: writeTimeoutMs
+      }),
+      influxConfig.retry
+    );
+  }
+
+  return createRetryableInflux(
+    new InfluxDB({
+      host: influxConfig.host,
+      port: influxConfig.port,
+      protocol: /** @type {('http'|'https')} */ (influxConfig.protocol),
+      username: influxConfig.username,
+      password: influxConfig.password,
+      database: influxConfig.database,
+      pool: { requestTimeout: writeTimeoutMs }
+    }),
+    influxConfig.retry
+  );
+}
+
+/**
+ * Creates an InfluxDB sink
+ * @param {SinkConfig} sinkConfig - Sink configuration, `sinkConfig.influx` holds the connection settings
+ * @returns {Sink} InfluxDB sink
+ */
+export function createInfluxSink(sinkConfig) {
+  const { name, influx: influxConfig, writeTimeoutMs } = sinkConfig;
+  const influx = createInfluxClient(influxConfig, writeTimeoutMs);
+
+  /**
+   * Creates the InfluxDB 1.x database if it does not exist
+   * @returns {Promise<void>}
+   */
+  async function initDatabase() {
+    const { database } = influxConfig;
+    const existing = await influx.getDatabaseNames();
+    if (!existing.includes(database)) {
+      log.info(`[${name}] Creating InfluxDB database: ${database}`);
+      await influx.createDatabase(database);
+    } else {
+      log.info(`[${name}] InfluxDB database already exists: ${database}`);
+    }
+  }
+
+  /**
+   * Verifies that the InfluxDB 2.x bucket exists
+   * Buckets are not created automatically since that requires an all-access token
+   * @returns {Promise<void>}
+   * @throws {Error} If the bucket does not exist
+   */
+  async function checkBucket() {
+    const { bucket, org, version } = influxConfig;
+
+    if (version === 3) {
+      log.info(
+        `[${name}] InfluxDB 3.x creates databases on first write, skipping check for: ${bucket}`
+      );
+      return;
+    }
+
+    if (!(await influx.bucketExists(bucket))) {
+      throw new Error(`InfluxDB bucket not found: ${bucket} (org=${org})`);
+    }
+    log.info(`[${name}] InfluxDB bucket exists: ${bucket}`);
+  }
+
+  return {
+    name,
+
+    async init() {
+      try {
+        if (influxConfig.version >= 2) {
+          await checkBucket();
+        } else {
+          await initDatabase();
+        }
+      } catch (err) {
+        log.error(`[${name}] Fatal error initializing InfluxDB:`, err);
+        throw err;
+      }
+    },
+
+    write: points => influx.writePoints(points),
+
+    async health() {
+      try {
+        if (influxConfig.version >= 2) {
+          await influx._influx.ping();
+          return true;
+        }
+        // The 1.x client reports per-host status instead of throwing
+        const hosts = await influx._influx.ping(HEALTH_TIMEOUT_MS);
+        return hosts.some(host => host.online);
+      } catch (err) {
+        log.debug(`[${name}] InfluxDB health check failed: ${err.message}`);
+        return false;
+      }
+    },
+
+    close: () => influx.close()
+  };
+}
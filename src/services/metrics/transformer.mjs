@@ -6,8 +6,131 @@
 
 /**
  * @typedef {import('@types/docker.mjs').ParsedStats} ParsedStats
+ * @typedef {import('@types/docker.mjs').DockerEvent} DockerEvent
+ */
+
+import { parseImageReference } from '../docker/metadata.mjs';
+import { getFieldGroup, splitBlkioDeviceField } from './fields.mjs';
+
+/**
+ * @typedef {('flat'|'tagged'|'split')} StatsSchema
  */
 
+/**
+ * Target of a field outside the `docker_stats` measurement
+ * @typedef {object} FieldRoute
+ * @property {string} measurement - Measurement receiving the field
+ * @property {Record<string, string>} tags - Tags added to the container tags
+ * @property {string} field - Field name within the measurement
+ */
+
+/**
+ * Options of the field routes
+ * @typedef {object} RouteOptions
+ * @property {function(string): (string | undefined)} [resolveDeviceName] - Resolves `major:minor` to a device name
+ */
+
+/**
+ * Per-interface and per-CPU fields moved to their own measurements by the `tagged` schema.
+ * The pattern captures the series and the field name within the measurement, so derived and
+ * aggregated companions (`_per_sec`, `_min`, ...) move along with their field
+ * @type {Array<{ measurement: string, pattern: RegExp, tags: function(string): Record<string, string> }>}
+ */
+const TAGGED_SERIES = [
+  {
+    measurement: 'docker_net',
+    pattern: /^net_(.+)_((?:in|out)_(?:bytes|packets|errors|dropped)(?:_.+)?)$/,
+    tags: iface => ({ interface: iface })
+  },
+  {
+    measurement: 'docker_cpu_core',
+    pattern: /^cpu_(\d+)_(usage(?:_.+)?)$/,
+    tags: cpu => ({ cpu })
+  }
+];
+
+/**
+ * Measurements of the resource groups in the `split` schema
+ * @type {Record<import('./fields.mjs').FieldGroup, string>}
+ */
+const SPLIT_MEASUREMENTS = {
+  cpu: 'docker_cpu',
+  memory: 'docker_memory',
+  network: 'docker_network',
+  blkio: 'docker_blkio',
+  pids: 'docker_pids'
+};
+
+/**
+ * Fields describing an aggregation window, copied to every point of the sample
+ * @type {string[]}
+ */
+const SHARED_FIELDS = ['sample_count'];
+
+/**
+ * Routes per-device block I/O fields to `docker_blkio_device`, tagged with the device
+ * @param {string} field - Stats field name
+ * @param {RouteOptions} options - Route options
+ * @returns {FieldRoute | null} Route, null for other fields
+ */
+function routeBlkioDeviceField(field, { resolveDeviceName }) {
+  const deviceField = splitBlkioDeviceField(field);
+  if (!deviceField) {
+    return null;
+  }
+
+  const { device } = deviceField;
+  const deviceName = resolveDeviceName?.(device);
+  return {
+    measurement: 'docker_blkio_device',
+    tags: deviceName ? { device, device_name: deviceName } : { device },
+    field: deviceField.field
+  };
+}
+
+/**
+ * Routes per-interface and per-CPU fields to their tagged measurements
+ * @param {string} field - Stats field name
+ * @returns {FieldRoute | null} Route, null for other fields
+ */
+function routeTaggedField(field) {
+  for (const series of TAGGED_SERIES) {
+    const match = series.pattern.exec(field);
+    if (match) {
+      return {
+        measurement: series.measurement,
+        tags: series.tags(match[1]),
+        field: match[2]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Routes fields to the measurement of their resource group, keeping their name
+ * @param {string} field - Stats field name
+ * @returns {FieldRoute | null} Route, null for fields outside the groups
+ */
+function routeSplitField(field) {
+  const group = getFieldGroup(field);
+  return group ? { measurement: SPLIT_MEASUREMENTS[group], tags: {}, field } : null;
+}
+
+/**
+ * Layouts of the schemas: field routes, the first route that matches a field wins, and
+ * whether fields without a route stay on `docker_stats`. Per-device block I/O is written to
+ * `docker_blkio_device` in every schema. The `split` schema drops unrouted fields, since only
+ * the sample times `read_time` and `preread_time` are left and the point timestamp already is
+ * the read time
+ * @type {Record<StatsSchema, { routes: Array<function(string, RouteOptions): FieldRoute | null>, keepUnrouted: boolean }>}
+ */
+const SCHEMA_LAYOUTS = {
+  flat: { routes: [routeBlkioDeviceField], keepUnrouted: true },
+  tagged: { routes: [routeBlkioDeviceField, routeTaggedField], keepUnrouted: true },
+  split: { routes: [routeBlkioDeviceField, routeSplitField], keepUnrouted: false }
+};
+
 /**
  * Validates the measurement field of a point
  * @param {unknown} measurement - Measurement to validate
@@ -64,11 +187,81 @@ function isValidPoint(point) {
   return validations.every(Boolean);
 }
 
+/**
+ * Distributes the fields of a sample to points according to the field routes
+ * Fields without a route stay on the `docker_stats` point unless the layout drops them; the
+ * point is left out once it has no fields of its own. Shared fields are copied to every point
+ * @param {Record<string, string>} tags - Tags of the container
+ * @param {Record<string, number>} fields - Fields of the sample
+ * @param {Date} timestamp - Sample timestamp
+ * @param {{ routes: Array<function(string, RouteOptions): FieldRoute | null>, keepUnrouted: boolean }} layout - Layout of the schema
+ * @param {RouteOptions} options - Route options
+ * @returns {Array<{
+ *   measurement: string,
+ *   tags: { [key: string]: string },
+ *   fields: { [key: string]: number },
+ *   timestamp: Date
+ * }>} InfluxDB data points
+ */
+function buildPoints(tags, fields, timestamp, { routes, keepUnrouted }, options) {
+  const statsPoint = { measurement: 'docker_stats', tags, fields: {}, timestamp };
+  /** @type {Map<string, import('../../utils/batch.mjs').Point>} Measurement and route tags -> point */
+  const routedPoints = new Map();
+  const sharedFields = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (SHARED_FIELDS.includes(field)) {
+      sharedFields[field] = value;
+      continue;
+    }
+
+    const route = routes.reduce((found, routeField) => found || routeField(field, options), null);
+    if (!route) {
+      if (keepUnrouted) {
+        statsPoint.fields[field] = value;
+      }
+      continue;
+    }
+
+    const key = `${route.measurement}:${Object.values(route.tags).join(',')}`;
+    if (!routedPoints.has(key)) {
+      routedPoints.set(key, {
+        measurement: route.measurement,
+        tags: { ...tags, ...route.tags },
+        fields: {},
+        timestamp
+      });
+    }
+    routedPoints.get(key).fields[route.field] = value;
+  }
+
+  const points = [statsPoint, ...routedPoints.values()].filter(
+    point => Object.keys(point.fields).length > 0
+  );
+  for (const point of points) {
+    Object.assign(point.fields, sharedFields);
+  }
+  return points;
+}
+
 /**
  * Transforms parsed Docker stats into InfluxDB data points
+ * Per-device block I/O always goes to `docker_blkio_device` (tags `device` and `device_name`),
+ * e.g. `blkio_8_0_read_bytes` becomes `read_bytes` of device `8:0`. The `flat` schema writes
+ * every other field to a single `docker_stats` point. The `tagged` schema moves per-interface
+ * network fields to `docker_net` (tag `interface`) and per-CPU usage to `docker_cpu_core`
+ * (tag `cpu`), e.g. `net_eth0_in_bytes` becomes `in_bytes` of interface `eth0`. The `split`
+ * schema instead writes the CPU, memory, network, block I/O and PID fields, including the
+ * per-interface and per-CPU ones, to `docker_cpu`, `docker_memory`, `docker_network`,
+ * `docker_blkio` and `docker_pids` and writes no `docker_stats` point
  * @param {string} containerId - Container ID
  * @param {string} containerName - Container name
  * @param {ParsedStats} stats - Parsed Docker stats
+ * @param {Record<string, string>} [metadata] - Container metadata tags (image, compose, labels)
+ * @param {object} [options] - Transform options
+ * @param {StatsSchema} [options.schema] - Measurement layout of the points
+ * @param {function(string): (string | undefined)} [options.resolveDeviceName] - Resolves `major:minor`
+ * to the `device_name` tag of `docker_blkio_device`
  * @returns {Array<{
  *   measurement: string,
  *   tags: { [key: string]: string },
@@ -76,23 +269,93 @@ function isValidPoint(point) {
  *   timestamp: Date
  * }>} InfluxDB data points
  */
-export function transformStats(containerId, containerName, stats) {
+export function transformStats(
+  containerId,
+  containerName,
+  stats,
+  metadata = {},
+  { schema = 'flat', resolveDeviceName } = {}
+) {
   // Extract timestamp and remove it from fields
   const { timestamp, ...fields } = stats;
+  const tags = {
+    ...metadata,
+    container_id: containerId,
+    container_name: containerName
+  };
+
+  return buildPoints(tags, fields, timestamp, SCHEMA_LAYOUTS[schema], { resolveDeviceName });
+}
+
+/**
+ * Transforms a Docker container event into an InfluxDB data point
+ * The action is split into the `action` tag and a `detail` field, e.g. `health_status: healthy`
+ * @param {DockerEvent} event - Docker event
+ * @param {Record<string, string>} [metadata] - Additional tags, e.g. `docker_host`
+ * @returns {Array<{
+ *   measurement: string,
+ *   tags: { [key: string]: string },
+ *   fields: { [key: string]: number | string },
+ *   timestamp: Date
+ * }>} InfluxDB data points
+ */
+export function transformEvent(event, metadata = {}) {
+  const status = event.Action || event.status;
+  const separator = status.indexOf(':');
+  const action = separator === -1 ? status : status.slice(0, separator);
+  const attributes = event.Actor?.Attributes || {};
+  const { name: imageName, tag: imageTag } = parseImageReference(attributes.image);
+
+  const tags = {
+    ...metadata,
+    container_id: event.Actor?.ID || event.id,
+    container_name: attributes.name,
+    action,
+    image_name: imageName,
+    image_tag: imageTag,
+    compose_project: attributes['com.docker.compose.project'],
+    compose_service: attributes['com.docker.compose.service']
+  };
+
+  const fields = { attributes: JSON.stringify(attributes) };
+  if (separator !== -1) {
+    fields.detail = status.slice(separator + 1).trim();
+  }
+  if (attributes.exitCode !== undefined) {
+    fields.exit_code = parseInt(attributes.exitCode, 10);
+  }
 
   return [
     {
-      measurement: 'docker_stats',
-      tags: {
-        container_id: containerId,
-        container_name: containerName
-      },
+      measurement: 'docker_events',
+      tags: Object.fromEntries(Object.entries(tags).filter(([, value]) => value)),
       fields,
-      timestamp
+      timestamp: new Date(event.timeNano ? Math.floor(event.timeNano / 1e6) : event.time * 1000)
     }
   ];
 }
 
+/**
+ * Transforms self metrics counters into InfluxDB data points
+ * Each counter series becomes one `docker_stats_service` point tagged with its labels
+ * @param {import('../../utils/self-metrics.mjs').Counter[]} counters - Counter snapshot
+ * @param {Date} timestamp - Timestamp of the snapshot
+ * @returns {Array<{
+ *   measurement: string,
+ *   tags: { [key: string]: string },
+ *   fields: { [key: string]: number },
+ *   timestamp: Date
+ * }>} InfluxDB data points
+ */
+export function transformSelfMetrics(counters, timestamp) {
+  return counters.map(({ name, labels, value }) => ({
+    measurement: 'docker_stats_service',
+    tags: labels,
+    fields: { [name]: value },
+    timestamp
+  }));
+}
+
 /**
  * Validates InfluxDB points
  * @param {Array<{
@@ -4,21 +4,92 @@
  * @module types/config
  */
 
+/**
+ * Docker daemon endpoint
+ * @typedef {object} DockerHostConfig
+ * @property {string} name - Daemon name, written as the `docker_host` tag
+ * @property {string} [socketPath] - Unix socket path (socket endpoints)
+ * @property {string} [protocol] - Protocol, http or https (TCP endpoints)
+ * @property {string} [host] - Host name or address (TCP endpoints)
+ * @property {number} [port] - Port (TCP endpoints)
+ * @property {object} [tls] - TLS settings (https endpoints)
+ * @property {boolean} tls.verify - Whether the daemon certificate is verified against ca.pem
+ * @property {string} tls.certPath - Directory with ca.pem, cert.pem and key.pem
+ * @example
+ * const dockerHost = {
+ *   name: 'edge-1',
+ *   protocol: 'https',
+ *   host: '10.0.0.5',
+ *   port: 2376,
+ *   tls: { verify: true, certPath: '/certs' }
+ * };
+ */
+
 /**
  * Docker configuration
  * @typedef {object} DockerConfig
  * @property {string} socketPath - Path to Docker socket
+ * @property {DockerHostConfig[]} hosts - Daemons to collect from
  * @property {object} stats - Stats processing configuration
  * @property {number} stats.maxBufferSize - Maximum buffer size in bytes
  * @property {number} stats.maxLineSize - Maximum line size in bytes
  * @property {number} stats.parseTimeoutMs - Parse timeout in milliseconds
+ * @property {string} stats.recordDir - Directory receiving raw stats frames (empty = disabled)
+ * @property {number} stats.recordMaxSize - Maximum size of a container recording in bytes (0 = no limit)
+ * @property {object} collection - How container stats are collected
+ * @property {string} collection.mode - Persistent stats streams (stream) or periodic one-shot requests (poll)
+ * @property {number} collection.pollIntervalMs - Delay between polling rounds
+ * @property {number} collection.pollConcurrency - Maximum concurrent stats requests per Docker host
+ * @property {number} reconcileIntervalMs - Interval of the container/stream reconciliation (0 = disabled)
+ * @property {object} restart - Restarts of failed stats streams
+ * @property {number} restart.delayMs - Initial backoff delay before a restart
+ * @property {number} restart.maxDelayMs - Maximum backoff delay
+ * @property {number} restart.breakerThreshold - Failures within the window that open the circuit breaker
+ * @property {number} restart.breakerWindowMs - Length of the failure window
+ * @property {number} restart.breakerRetryMs - Delay between half-open retries while the breaker is open
+ * @property {object} filters - Container filter rules
+ * @property {string[]} filters.include - Rules a container must match one of (empty = all containers)
+ * @property {string[]} filters.exclude - Rules excluding a container
+ * @property {string[]} labelTags - Container labels written as `label_<name>` tags
+ * @property {object} events - Container event recording
+ * @property {boolean} events.enabled - Whether events are written to the docker_events measurement
+ * @property {string[]} events.actions - Recorded actions (`*` = all)
+ * @property {number} events.reconnectDelayMs - Initial delay before reopening a closed events stream
+ * @property {number} events.reconnectMaxDelayMs - Maximum delay between reconnect attempts
  * @example
  * const dockerConfig = {
  *   socketPath: '/var/run/docker.sock',
+ *   hosts: [{ name: 'web-1', socketPath: '/var/run/docker.sock' }],
  *   stats: {
  *     maxBufferSize: 1048576, // 1MB
  *     maxLineSize: 102400,    // 100KB
- *     parseTimeoutMs: 30000   // 30 seconds
+ *     parseTimeoutMs: 30000,  // 30 seconds
+ *     recordDir: '',          // Recording disabled
+ *     recordMaxSize: 104857600 // 100MB per container
+ *   },
+ *   collection: {
+ *     mode: 'stream',
+ *     pollIntervalMs: 10000,
+ *     pollConcurrency: 10
+ *   },
+ *   reconcileIntervalMs: 60000,
+ *   restart: {
+ *     delayMs: 1000,
+ *     maxDelayMs: 60000,
+ *     breakerThreshold: 5,
+ *     breakerWindowMs: 300000,
+ *     breakerRetryMs: 300000
+ *   },
+ *   filters: {
+ *     include: ['project:shop'],
+ *     exclude: ['name:^ci-', 'image:*builder*']
+ *   },
+ *   labelTags: ['com.example.team'],
+ *   events: {
+ *     enabled: true,
+ *     actions: ['start', 'die', 'oom', 'health_status'],
+ *     reconnectDelayMs: 1000,
+ *     reconnectMaxDelayMs: 30000
  *   }
  * };
  */
@@ -32,6 +103,10 @@
  * @property {string} username - InfluxDB username
  * @property {string} password - InfluxDB password
  * @property {string} database - InfluxDB database name
+ * @property {number} version - InfluxDB major version (1, 2 or 3)
+ * @property {string} token - InfluxDB 2.x/3.x API token
+ * @property {string} org - InfluxDB 2.x organization
+ * @property {string} bucket - InfluxDB 2.x bucket (database on 3.x)
  * @property {object} retry - Retry configuration
  * @property {number} retry.maxRetries - Maximum number of retries
  * @property {number} retry.initialDelayMs - Initial retry delay in ms
@@ -45,6 +120,10 @@
  *   username: 'admin',
  *   password: 'admin',
  *   database: 'docker-stats',
+ *   version: 1,
+ *   token: '',
+ *   org: '',
+ *   bucket: 'docker-stats',
  *   retry: {
  *     maxRetries: 5,
  *     initialDelayMs: 1000,
@@ -59,10 +138,91 @@
  * @typedef {object} BatchConfig
  * @property {number} maxSize - Maximum batch size
  * @property {number} maxWaitMs - Maximum wait time in ms
+ * @property {number} maxBufferedPoints - Maximum points held in memory (0 = no limit)
+ * @property {string} overflowPolicy - What to drop once the buffer is full (drop_oldest/drop_newest/downsample)
+ * @property {number} downsampleFactor - Keep every Nth point per container when downsampling
+ * @property {number} highWaterMark - Buffered points at which the sink applies backpressure (0 = disabled)
+ * @property {number} lowWaterMark - Buffered points below which the sink releases backpressure
  * @example
  * const batchConfig = {
  *   maxSize: 100,
- *   maxWaitMs: 2000
+ *   maxWaitMs: 2000,
+ *   maxBufferedPoints: 100000,
+ *   overflowPolicy: 'drop_oldest',
+ *   downsampleFactor: 2,
+ *   highWaterMark: 50000,
+ *   lowWaterMark: 25000
+ * };
+ */
+
+/**
+ * Endpoint configuration of an HTTP line protocol sink
+ * @typedef {object} HttpSinkConfig
+ * @property {string} url - Line protocol write endpoint
+ * @property {string} token - Bearer token sent with every request (empty = none)
+ * @property {string} healthUrl - URL requested by the health check (empty = no check)
+ * @property {InfluxConfig['retry']} retry - Retry configuration of writes
+ * @example
+ * const httpSinkConfig = {
+ *   url: 'http://victoriametrics:8428/write',
+ *   token: '',
+ *   healthUrl: 'http://victoriametrics:8428/health',
+ *   retry: { maxRetries: 5, initialDelayMs: 1000, maxDelayMs: 10000, backoffFactor: 2 }
+ * };
+ */
+
+/**
+ * Metrics sink configuration
+ * @typedef {object} SinkConfig
+ * @property {string} name - Unique sink name (entry of METRICS_SINKS)
+ * @property {('influxdb'|'http')} type - Sink type
+ * @property {number} writeTimeoutMs - Timeout of a single write request
+ * @property {InfluxConfig} [influx] - InfluxDB configuration of `influxdb` sinks
+ * @property {HttpSinkConfig} [http] - Endpoint configuration of `http` sinks
+ * @property {BatchConfig} batch - Batch configuration of this sink
+ * @example
+ * const sinkConfig = {
+ *   name: 'influxdb2',
+ *   type: 'influxdb',
+ *   writeTimeoutMs: 10000,
+ *   influx: { ... }, // InfluxConfig with version 2
+ *   batch: { maxSize: 500, maxWaitMs: 2000 }
+ * };
+ */
+
+/**
+ * Disk spool configuration
+ * @typedef {object} SpoolConfig
+ * @property {boolean} enabled - Whether points are spooled to disk while a sink is unavailable
+ * @property {string} directory - Base directory, each sink spools into its own subdirectory
+ * @property {number} maxSegmentBytes - Size after which a new segment file is started
+ * @property {number} maxTotalBytes - Maximum spool size per sink
+ * @property {number} maxAgeMs - Segments older than this are dropped
+ * @property {number} replayIntervalMs - Delay between attempts to replay the spool
+ * @example
+ * const spoolConfig = {
+ *   enabled: true,
+ *   directory: '/data/spool',
+ *   maxSegmentBytes: 8388608,  // 8MB
+ *   maxTotalBytes: 268435456,  // 256MB
+ *   maxAgeMs: 86400000,        // 24 hours
+ *   replayIntervalMs: 5000
+ * };
+ */
+
+/**
+ * Prometheus exporter configuration
+ * @typedef {object} PrometheusConfig
+ * @property {boolean} enabled - Whether the /metrics exporter is enabled
+ * @property {string} host - Address the exporter listens on
+ * @property {number} port - Port the exporter listens on
+ * @property {string} path - HTTP path serving the metrics
+ * @example
+ * const prometheusConfig = {
+ *   enabled: true,
+ *   host: '0.0.0.0',
+ *   port: 9487,
+ *   path: '/metrics'
  * };
  */
 
@@ -72,17 +232,33 @@
  * @property {boolean} isDocker - Whether running in Docker
  * @property {string} logLevel - Log level
  * @property {number} shutdownTimeoutMs - Shutdown timeout in ms
+ * @property {number} selfMetricsIntervalMs - Interval for writing self metrics to the sinks (0 = disabled)
+ * @property {number} aggregationWindowMs - Window for aggregating samples per container (0 = disabled)
+ * @property {boolean} derivedRates - Whether per-second rates are derived from cumulative counters
+ * @property {('flat'|'tagged'|'split')} statsSchema - Measurement layout of the stats points
+ * @property {boolean} blkioDeviceNames - Whether block devices are tagged with their name from sysfs
  * @property {DockerConfig} docker - Docker configuration
  * @property {InfluxConfig} influx - InfluxDB configuration
  * @property {BatchConfig} batch - Batch configuration
+ * @property {SinkConfig[]} sinks - Enabled metrics sinks
+ * @property {SpoolConfig} spool - Disk spool configuration
+ * @property {PrometheusConfig} prometheus - Prometheus exporter configuration
  * @example
  * const config = {
  *   isDocker: false,
  *   logLevel: 'info',
  *   shutdownTimeoutMs: 10000,
+ *   selfMetricsIntervalMs: 60000,
+ *   aggregationWindowMs: 0,
+ *   derivedRates: false,
+ *   statsSchema: 'flat',
+ *   blkioDeviceNames: false,
  *   docker: { ... },  // DockerConfig
  *   influx: { ... },  // InfluxConfig
- *   batch: { ... }    // BatchConfig
+ *   batch: { ... },   // BatchConfig
+ *   sinks: [ ... ],   // SinkConfig[]
+ *   spool: { ... },   // SpoolConfig
+ *   prometheus: { ... } // PrometheusConfig
  * };
  */
 
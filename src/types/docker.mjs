@@ -13,8 +13,9 @@
  * Stream information for managing stream state and data
  * @typedef {object} StreamInfo
  * @property {import('stream').Readable} stream - The stats stream
- * @property {string} buffer - Current buffer content
+ * @property {ReturnType<typeof import('../services/docker/stats-parser.mjs').createLineSplitter>} splitter - Splits the stream into lines
  * @property {number} consecutiveErrors - Count of consecutive errors
+ * @property {number} lastParsedAt - Time of the last successfully parsed sample (ms since epoch)
  * @property {StreamState} state - Current stream state
  */
 
@@ -22,3 +23,17 @@
  * Stream state for managing stream lifecycle
  * @typedef {'starting' | 'active' | 'stopping' | 'stopped' | 'unknown'} StreamState
  */
+
+/**
+ * Docker engine event as received from the events stream
+ * @typedef {object} DockerEvent
+ * @property {string} Type - Object type, e.g. `container`
+ * @property {string} Action - Action, e.g. `die` or `health_status: healthy`
+ * @property {object} Actor - Object the event is about
+ * @property {string} Actor.ID - Object ID
+ * @property {Record<string, string>} Actor.Attributes - Attributes (name, image, labels, exitCode, ...)
+ * @property {number} time - Event time in seconds
+ * @property {number} timeNano - Event time in nanoseconds
+ * @property {string} [status] - Deprecated alias of Action
+ * @property {string} [id] - Deprecated alias of Actor.ID
+ */
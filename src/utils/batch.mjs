@@ -6,6 +6,7 @@
 
 import log from 'loglevel';
 import { retryWithBackoff } from './common.mjs';
+import { incrementCounter } from './self-metrics.mjs';
 
 /**
  * @typedef {object} BatchOptions
@@ -13,6 +14,22 @@ import { retryWithBackoff } from './common.mjs';
  * @property {number} [maxWaitMs=10000] - Maximum time to wait before flushing
  * @property {number} [maxRetries=3] - Maximum retries for failed batch writes
  * @property {number} [retryDelayMs=1000] - Initial delay between retries
+ * @property {import('./spool.mjs').DiskSpool} [spool] - Disk spool receiving points the sink could not take
+ * @property {function(): Promise<boolean>} [healthCheck] - Checks whether the sink is reachable again
+ * @property {number} [replayIntervalMs=5000] - Delay between attempts to replay the spool
+ * @property {string} [name='default'] - Name of the sink, used in logs and drop counters
+ * @property {number} [maxBufferedPoints=100000] - Maximum points held in memory, 0 for no limit
+ * @property {OverflowPolicy} [overflowPolicy='drop_oldest'] - What to drop once the buffer is full
+ * @property {number} [downsampleFactor=2] - Keep every Nth point per container with the `downsample` policy
+ * @property {number} [highWaterMark=0] - Points in memory at which backpressure is applied, 0 to disable
+ * @property {number} [lowWaterMark=0] - Points in memory below which backpressure is released
+ * @property {function(boolean): void} [onPressureChange] - Called with true when backpressure is applied and false when it is released
+ * @property {function(Error): boolean} [isPermanentError] - Identifies write errors that fail the same way on every retry, their batch is dropped
+ */
+
+/**
+ * Policy applied when the in-memory buffer exceeds `maxBufferedPoints`
+ * @typedef {'drop_oldest'|'drop_newest'|'downsample'} OverflowPolicy
  */
 
 /**
@@ -27,15 +44,77 @@ import { retryWithBackoff } from './common.mjs';
  * @typedef {object} MetricsBatcher
  * @property {Function} add - Adds points to the batch
  * @property {Function} shutdown - Gracefully shuts down the batcher
+ * @property {function(): boolean} isUnderPressure - Whether backpressure is currently applied
  */
 
 const DEFAULT_BATCH_OPTIONS = {
   maxSize: 1000, // Maximum number of points in a batch
   maxWaitMs: 10000, // Maximum time to wait before flushing
   maxRetries: 3, // Maximum retries for failed batch writes
-  retryDelayMs: 1000 // Initial delay between retries
+  retryDelayMs: 1000, // Initial delay between retries
+  replayIntervalMs: 5000, // Delay between attempts to replay the spool
+  name: 'default', // Name of the sink, used in logs and drop counters
+  maxBufferedPoints: 100000, // Maximum points held in memory (0 = no limit)
+  overflowPolicy: 'drop_oldest', // What to drop once the buffer is full
+  downsampleFactor: 2, // Keep every Nth point per container when downsampling
+  highWaterMark: 0, // Points in memory at which backpressure is applied (0 = disabled)
+  lowWaterMark: 0, // Points in memory below which backpressure is released
+  onPressureChange: () => {},
+  isPermanentError: () => false // Write errors that drop the batch instead of retrying it
 };
 
+const DROP_LOG_INTERVAL_MS = 10000;
+
+/**
+ * Keeps every Nth point per container, oldest first
+ * @param {Point[]} points - Buffered points, oldest first
+ * @param {number} factor - Keep one point out of `factor`
+ * @returns {Point[]} Remaining points
+ */
+function downsamplePoints(points, factor) {
+  const seen = new Map();
+  return points.filter(point => {
+    const key = point.tags?.container_id ?? '';
+    const count = seen.get(key) ?? 0;
+    seen.set(key, count + 1);
+    return count % factor === 0;
+  });
+}
+
+/**
+ * Reduces buffered points to the given capacity
+ * @param {Point[]} points - Buffered points, oldest first
+ * @param {number} capacity - Maximum number of points to keep
+ * @param {OverflowPolicy} policy - Overflow policy
+ * @param {number} factor - Downsample factor
+ * @returns {{ kept: Point[], dropped: Record<string, number> }} Remaining points and drop counts per reason
+ */
+export function applyOverflowPolicy(points, capacity, policy, factor) {
+  if (points.length <= capacity) {
+    return { kept: points, dropped: {} };
+  }
+
+  if (policy === 'drop_newest') {
+    return { kept: points.slice(0, capacity), dropped: { drop_newest: points.length - capacity } };
+  }
+
+  const dropped = {};
+  let kept = points;
+
+  if (policy === 'downsample' && factor > 1) {
+    kept = downsamplePoints(points, factor);
+    dropped.downsample = points.length - kept.length;
+  }
+
+  // Downsampling alone may not be enough when a single container dominates the buffer
+  if (kept.length > capacity) {
+    dropped.drop_oldest = kept.length - capacity;
+    kept = kept.slice(kept.length - capacity);
+  }
+
+  return { kept, dropped };
+}
+
 /**
  * Creates a metrics batcher for efficient InfluxDB writes
  * @param {object} influx - InfluxDB client instance with writePoints method
@@ -62,19 +141,113 @@ const DEFAULT_BATCH_OPTIONS = {
  *
  * // Graceful shutdown
  * await batcher.shutdown();
+ *
+ * // Keep points on disk while InfluxDB is down
+ * const spooledBatcher = createMetricsBatcher(influxClient, {
+ *   spool: createDiskSpool({ directory: '/data/spool/influxdb' }),
+ *   healthCheck: () => influxClient.ping().then(() => true, () => false)
+ * });
+ *
+ * // Never hold more than 50k points in memory, thinning out each container's samples
+ * const boundedBatcher = createMetricsBatcher(influxClient, {
+ *   name: 'influxdb',
+ *   maxBufferedPoints: 50000,
+ *   overflowPolicy: 'downsample',
+ *   downsampleFactor: 3
+ * });
+ *
+ * // Ask the producers to pause while more than 20k points are waiting
+ * const throttledBatcher = createMetricsBatcher(influxClient, {
+ *   highWaterMark: 20000,
+ *   lowWaterMark: 10000,
+ *   onPressureChange: underPressure => (underPressure ? pauseStreams() : resumeStreams())
+ * });
  */
 export function createMetricsBatcher(influx, options = {}) {
-  const config = { ...DEFAULT_BATCH_OPTIONS, ...options };
+  const { spool = null, healthCheck = async () => true, ...batchOptions } = options;
+  const config = { ...DEFAULT_BATCH_OPTIONS, ...batchOptions };
   let batch = [];
   let lastFlushTime = Date.now();
   let scheduledFlushTimeout = null;
+  let scheduledReplayTimeout = null;
+  let isReplaying = false;
   let batcherIsShutdown = false;
+  let unloggedDrops = 0;
+  let lastDropLogTime = 0;
+  let inFlightPoints = 0;
+  let underPressure = false;
+
+  /**
+   * Applies or releases backpressure based on the points held in memory
+   * Points being written count as well, since they are only released once the write settles
+   * @private
+   */
+  function updatePressure() {
+    if (!config.highWaterMark) {
+      return;
+    }
+
+    const buffered = batch.length + inFlightPoints;
+    if (!underPressure && buffered >= config.highWaterMark) {
+      underPressure = true;
+      incrementCounter('backpressure_activations', { sink: config.name });
+      log.warn(
+        `[${config.name}] ${buffered} points buffered, above the high-water mark of ${config.highWaterMark}: applying backpressure`
+      );
+      config.onPressureChange(true);
+    } else if (underPressure && buffered <= config.lowWaterMark) {
+      underPressure = false;
+      log.info(
+        `[${config.name}] ${buffered} points buffered, below the low-water mark of ${config.lowWaterMark}: releasing backpressure`
+      );
+      config.onPressureChange(false);
+    }
+  }
+
+  /**
+   * Applies the overflow policy if the buffer exceeds its capacity
+   * Points being written take up capacity too, so concurrent flushes cannot exceed the limit;
+   * drops are counted per reason and logged at most every few seconds
+   * @private
+   */
+  function enforceCapacity() {
+    if (!config.maxBufferedPoints) {
+      return;
+    }
+
+    const capacity = Math.max(0, config.maxBufferedPoints - inFlightPoints);
+    if (batch.length <= capacity) {
+      return;
+    }
+
+    const { kept, dropped } = applyOverflowPolicy(
+      batch,
+      capacity,
+      config.overflowPolicy,
+      config.downsampleFactor
+    );
+    batch = kept;
+
+    for (const [reason, count] of Object.entries(dropped)) {
+      incrementCounter('points_dropped', { sink: config.name, reason }, count);
+      unloggedDrops += count;
+    }
+
+    if (Date.now() - lastDropLogTime >= DROP_LOG_INTERVAL_MS) {
+      log.warn(
+        `[${config.name}] Buffer full (${config.maxBufferedPoints} points), dropped ${unloggedDrops} points (policy=${config.overflowPolicy})`
+      );
+      unloggedDrops = 0;
+      lastDropLogTime = Date.now();
+    }
+  }
 
   /**
    * Writes a batch of points to InfluxDB with retry logic
+   * A batch rejected with a permanent error is dropped and counted, since resending it cannot succeed
    * @private
    * @param {Point[]} points - Array of points to write
-   * @returns {Promise<boolean>} Success status of the write operation
+   * @returns {Promise<boolean>} Whether the batch is done with, i.e. written or dropped as rejected
    */
   async function writeBatch(points) {
     try {
@@ -83,6 +256,9 @@ export function createMetricsBatcher(influx, options = {}) {
         initialDelayMs: config.retryDelayMs,
         maxDelayMs: config.retryDelayMs * Math.pow(2, config.maxRetries),
         shouldRetry: (error, attempt) => {
+          if (config.isPermanentError(error)) {
+            return false;
+          }
           log.warn(
             `Failed to write batch (attempt ${attempt}/${config.maxRetries}): ${error.message}`
           );
@@ -92,11 +268,91 @@ export function createMetricsBatcher(influx, options = {}) {
       log.debug(`Successfully wrote batch of ${points.length} points`);
       return true;
     } catch (error) {
+      if (config.isPermanentError(error)) {
+        incrementCounter(
+          'points_dropped',
+          { sink: config.name, reason: 'rejected' },
+          points.length
+        );
+        log.error(
+          `[${config.name}] Dropping batch of ${points.length} points rejected by the sink: ${error.message}`
+        );
+        return true;
+      }
       log.error(`Failed to write batch after ${config.maxRetries} attempts:`, error);
       return false;
     }
   }
 
+  /**
+   * Appends points to the disk spool and schedules their replay
+   * @private
+   * @param {Point[]} points - Points the sink could not take
+   * @returns {Promise<boolean>} Whether the points were spooled
+   */
+  async function spoolPoints(points) {
+    try {
+      await spool.append(points);
+      log.debug(`Spooled ${points.length} points to disk`);
+      scheduleReplay();
+      return true;
+    } catch (error) {
+      log.error(`Failed to spool ${points.length} points:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Replays spooled segments in write order once the sink is healthy again
+   * A segment is deleted only after all its points were written, so a failure
+   * halfway through replays the segment again (InfluxDB overwrites identical points)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async function replaySpool() {
+    if (isReplaying || batcherIsShutdown) {
+      return;
+    }
+
+    isReplaying = true;
+    try {
+      if (!(await healthCheck())) {
+        log.debug('Sink still unavailable, keeping spooled points');
+        scheduleReplay();
+        return;
+      }
+
+      let entry;
+      while (!batcherIsShutdown && (entry = await spool.readOldest())) {
+        for (let i = 0; i < entry.points.length; i += config.maxSize) {
+          if (!(await writeBatch(entry.points.slice(i, i + config.maxSize)))) {
+            scheduleReplay();
+            return;
+          }
+        }
+        await spool.remove(entry.segment);
+        log.info(`Replayed ${entry.points.length} spooled points`);
+      }
+    } finally {
+      isReplaying = false;
+    }
+  }
+
+  /**
+   * Schedules the next spool replay attempt
+   * @private
+   */
+  function scheduleReplay() {
+    if (!spool || scheduledReplayTimeout || batcherIsShutdown) {
+      return;
+    }
+
+    scheduledReplayTimeout = setTimeout(() => {
+      scheduledReplayTimeout = null;
+      replaySpool().catch(err => log.error('Error replaying spool:', err));
+    }, config.replayIntervalMs);
+  }
+
   /**
    * Flushes the current batch to InfluxDB
    * @private
@@ -115,21 +371,37 @@ export function createMetricsBatcher(influx, options = {}) {
     const pointsToWrite = [...batch];
     batch = [];
     lastFlushTime = Date.now();
+    inFlightPoints += pointsToWrite.length;
 
+    let written = false;
     try {
-      const success = await writeBatch(pointsToWrite);
-      if (!success && !batcherIsShutdown) {
-        // On failure, if we're not shutting down, add points back to the batch
-        batch.push(...pointsToWrite);
-        scheduleFlush();
-      }
+      // Keep write order: while older points are spooled, newer ones queue up behind them
+      const spoolPending = spool && !(await spool.isEmpty());
+      const success = !spoolPending && (await writeBatch(pointsToWrite));
+      written = success || Boolean(spool && (await spoolPoints(pointsToWrite)));
     } catch (error) {
       log.error('Error during batch flush:', error);
-      if (!batcherIsShutdown) {
-        batch.push(...pointsToWrite);
-        scheduleFlush();
-      }
+    } finally {
+      inFlightPoints -= pointsToWrite.length;
+    }
+
+    // On failure, if we're not shutting down, add points back to the batch. They leave the
+    // in-flight count first, so the capacity check does not count them twice
+    if (!written && !batcherIsShutdown) {
+      requeue(pointsToWrite);
     }
+    updatePressure();
+  }
+
+  /**
+   * Puts points that could not be written back in front of the batch
+   * @private
+   * @param {Point[]} points - Points to requeue
+   */
+  function requeue(points) {
+    batch = [...points, ...batch];
+    enforceCapacity();
+    scheduleFlush();
   }
 
   /**
@@ -167,6 +439,8 @@ export function createMetricsBatcher(influx, options = {}) {
     }
 
     batch.push(...pointsArray);
+    enforceCapacity();
+    updatePressure();
 
     // If we've exceeded maxSize, flush immediately
     if (batch.length >= config.maxSize) {
@@ -189,6 +463,10 @@ export function createMetricsBatcher(influx, options = {}) {
       clearTimeout(scheduledFlushTimeout);
       scheduledFlushTimeout = null;
     }
+    if (scheduledReplayTimeout) {
+      clearTimeout(scheduledReplayTimeout);
+      scheduledReplayTimeout = null;
+    }
 
     if (batch.length > 0) {
       log.info(`Flushing remaining ${batch.length} points during shutdown`);
@@ -196,8 +474,20 @@ export function createMetricsBatcher(influx, options = {}) {
     }
   }
 
+  /**
+   * Checks whether backpressure is currently applied
+   * @returns {boolean} True between crossing the high-water mark and draining below the low-water mark
+   */
+  function isUnderPressure() {
+    return underPressure;
+  }
+
+  // Replay points spooled by a previous run
+  scheduleReplay();
+
   return {
     add,
-    shutdown
+    shutdown,
+    isUnderPressure
   };
 }
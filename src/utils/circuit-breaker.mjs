@@ -0,0 +1,137 @@
+/**
+ * Circuit Breaker
+ * Counts failures in a sliding window and blocks attempts once too many have piled up
+ * @module utils/circuit-breaker
+ */
+
+/**
+ * @typedef {('closed'|'open'|'half_open')} CircuitState
+ */
+
+/**
+ * Creates a circuit breaker
+ * The breaker opens after `failureThreshold` failures within `failureWindowMs`. Once
+ * `openDurationMs` has passed it becomes half-open and allows a single trial: a success
+ * closes it again, a failure reopens it for another `openDurationMs`
+ * @param {object} options - Breaker options
+ * @param {number} options.failureThreshold - Failures within the window that open the breaker
+ * @param {number} options.failureWindowMs - Length of the sliding failure window
+ * @param {number} options.openDurationMs - Time the breaker stays open before a trial is allowed
+ * @param {function(CircuitState, CircuitState): void} [options.onStateChange] - Called with the new and the previous state
+ * @returns {object} Circuit breaker functions
+ * @example
+ * const breaker = createCircuitBreaker({
+ *   failureThreshold: 5,
+ *   failureWindowMs: 300000,
+ *   openDurationMs: 300000,
+ *   onStateChange: (state, previous) => log.info(`Breaker ${previous} -> ${state}`)
+ * });
+ *
+ * if (breaker.canAttempt()) {
+ *   connect().then(breaker.recordSuccess, breaker.recordFailure);
+ * }
+ */
+export function createCircuitBreaker({
+  failureThreshold,
+  failureWindowMs,
+  openDurationMs,
+  onStateChange = () => {}
+}) {
+  /** @type {CircuitState} */
+  let state = 'closed';
+  /** @type {number[]} Failure timestamps within the window */
+  let failures = [];
+  let openedAt = 0;
+
+  /**
+   * Moves the breaker to a new state
+   * @param {CircuitState} next - New state
+   */
+  function transition(next) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  }
+
+  /**
+   * Forgets failures that dropped out of the window
+   * @param {number} now - Current time in ms
+   */
+  function pruneFailures(now) {
+    failures = failures.filter(time => now - time < failureWindowMs);
+  }
+
+  /**
+   * Returns the current state, turning an expired open breaker half-open
+   * @returns {CircuitState} Current state
+   */
+  function getState() {
+    if (state === 'open' && Date.now() - openedAt >= openDurationMs) {
+      transition('half_open');
+    }
+    return state;
+  }
+
+  /**
+   * Checks whether an attempt is allowed
+   * @returns {boolean} False while the breaker is open
+   */
+  function canAttempt() {
+    return getState() !== 'open';
+  }
+
+  /**
+   * Records a failed attempt
+   * A failed trial of a half-open breaker reopens it right away
+   */
+  function recordFailure() {
+    const now = Date.now();
+    const current = getState();
+
+    pruneFailures(now);
+    failures.push(now);
+
+    if (current === 'half_open' || (current === 'closed' && failures.length >= failureThreshold)) {
+      openedAt = now;
+      transition('open');
+    }
+  }
+
+  /**
+   * Records a successful attempt
+   * Closes a half-open breaker and forgets its failures
+   */
+  function recordSuccess() {
+    if (getState() !== 'half_open') return;
+    failures = [];
+    transition('closed');
+  }
+
+  /**
+   * Counts the failures within the window
+   * @returns {number} Number of recent failures
+   */
+  function getFailureCount() {
+    pruneFailures(Date.now());
+    return failures.length;
+  }
+
+  /**
+   * Returns the time until an open breaker allows its next trial
+   * @returns {number} Delay in ms, 0 if an attempt is allowed now
+   */
+  function getRetryDelay() {
+    if (getState() !== 'open') return 0;
+    return Math.max(0, openedAt + openDurationMs - Date.now());
+  }
+
+  return {
+    getState,
+    canAttempt,
+    recordFailure,
+    recordSuccess,
+    getFailureCount,
+    getRetryDelay
+  };
+}
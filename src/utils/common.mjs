@@ -138,3 +138,54 @@ export async function retryWithBackoff(operation, options) {
 
   throw lastError;
 }
+
+/**
+ * Runs an async worker over items with at most `concurrency` workers in flight
+ * Failures of single items are returned instead of thrown, like Promise.allSettled
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {(item: T) => Promise<R>} worker - Worker function
+ * @returns {Promise<Array<{ status: string, value?: R, reason?: Error }>>} Results in item order
+ * @example
+ * const results = await mapWithConcurrency(containerIds, 5, id => fetchStats(id));
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  /**
+   * Takes items off the shared queue until it is empty
+   * @returns {Promise<void>}
+   */
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Rejects if a promise does not settle within the given time
+ * @template T
+ * @param {Promise<T>} promise - Promise to wait for
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<T>} The result of the promise
+ */
+export function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,137 @@
+/**
+ * InfluxDB 2.x/3.x Client
+ * Minimal HTTP client for the `/api/v2` endpoints (token, org, bucket)
+ * @module utils/influx-v2
+ */
+
+import { serializePoints } from './line-protocol.mjs';
+
+/**
+ * @typedef {import('./batch.mjs').Point} Point
+ */
+
+/**
+ * @typedef {object} InfluxV2Options
+ * @property {string} host - InfluxDB host
+ * @property {number} port - InfluxDB port
+ * @property {('http'|'https')} protocol - InfluxDB protocol
+ * @property {string} token - API token
+ * @property {string} [org] - Organization name (ignored by InfluxDB 3.x)
+ * @property {string} bucket - Bucket name (database name on InfluxDB 3.x)
+ * @property {number} [timeoutMs=10000] - Request timeout in milliseconds
+ */
+
+/**
+ * @typedef {object} InfluxV2Client
+ * @property {function(Point[]): Promise<void>} writePoints - Writes points as line protocol
+ * @property {function(string=): Promise<boolean>} bucketExists - Checks whether a bucket exists
+ * @property {function(): Promise<void>} ping - Checks that the server is reachable
+ */
+
+/**
+ * Creates an InfluxDB 2.x/3.x client
+ * @param {InfluxV2Options} options - Connection options
+ * @returns {InfluxV2Client} InfluxDB 2.x/3.x client
+ * @example
+ * const client = createInfluxV2Client({
+ *   host: 'localhost',
+ *   port: 8086,
+ *   protocol: 'http',
+ *   token: 'my-token',
+ *   org: 'my-org',
+ *   bucket: 'docker-stats'
+ * });
+ *
+ * await client.writePoints([{ measurement: 'cpu', tags: {}, fields: { value: 0.64 } }]);
+ */
+export function createInfluxV2Client({
+  host,
+  port,
+  protocol,
+  token,
+  org,
+  bucket,
+  timeoutMs = 10000
+}) {
+  const baseUrl = `${protocol}://${host}:${port}`;
+
+  /**
+   * Performs an HTTP request against the InfluxDB API
+   * Network errors are rethrown with their cause code in the message, so the
+   * retry wrapper can classify them (e.g. ECONNREFUSED)
+   * @param {string} path - API path
+   * @param {object} [options] - Request options
+   * @param {string} [options.method] - HTTP method
+   * @param {Record<string, string>} [options.query] - Query string parameters
+   * @param {string} [options.body] - Request body
+   * @param {Record<string, string>} [options.headers] - Additional headers
+   * @returns {Promise<Response>} Successful response
+   * @throws {Error} If the request fails or returns a non-2xx status
+   */
+  async function request(path, { method = 'GET', query = {}, body, headers = {} } = {}) {
+    const url = new URL(path, baseUrl);
+    Object.entries(query).forEach(([key, value]) => {
+      if (value) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        body,
+        headers: { Authorization: `Token ${token}`, ...headers },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      const code = err.cause?.code || err.name;
+      throw new Error(`InfluxDB request ${method} ${path} failed: ${err.message} (${code})`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      const error = new Error(
+        `InfluxDB request ${method} ${path} failed with status ${response.status}: ${text || response.statusText}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  return {
+    async writePoints(points) {
+      const body = serializePoints(points);
+      if (!body) {
+        return;
+      }
+
+      await request('/api/v2/write', {
+        method: 'POST',
+        query: { org, bucket, precision: 'ms' },
+        body,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+      });
+    },
+
+    async bucketExists(name = bucket) {
+      try {
+        const response = await request('/api/v2/buckets', { query: { org, name } });
+        const { buckets = [] } = await response.json();
+        return buckets.some(found => found.name === name);
+      } catch (err) {
+        // Some versions answer an unknown bucket name with 404 instead of an empty list
+        if (err.statusCode === 404) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async ping() {
+      await request('/ping');
+    }
+  };
+}
@@ -33,6 +33,15 @@ import { retryWithBackoff } from './common.mjs';
  * @property {object} _influx - Original InfluxDB instance
  */
 
+/**
+ * @typedef {object} RetryableInfluxV2
+ * @property {function(Point[]): Promise<void>} writePoints - Writes points to InfluxDB with retry
+ * @property {function(string=): Promise<boolean>} bucketExists - Checks bucket existence with retry
+ * @property {function(): Promise<void>} ping - Pings InfluxDB with retry
+ * @property {function(): Promise<void>} close - Closes the InfluxDB connection
+ * @property {object} _influx - Original InfluxDB 2.x/3.x client
+ */
+
 const DEFAULT_RETRY_OPTIONS = {
   maxRetries: 5,
   initialDelayMs: 1000,
@@ -47,6 +56,7 @@ const DEFAULT_RETRY_OPTIONS = {
 const FATAL_ERROR_PATTERNS = [
   { pattern: /unauthorized|forbidden/i, message: 'Authentication failed - check credentials' },
   { pattern: /database.*not.*found/i, message: 'Database not found - check database name' },
+  { pattern: /bucket.*not.*found/i, message: 'Bucket not found - check bucket and org names' },
   { pattern: /invalid.*database/i, message: 'Invalid database name' }
 ];
 
@@ -69,6 +79,28 @@ const RETRYABLE_ERROR_PATTERNS = [
   }
 ];
 
+/**
+ * Reads the HTTP status of a failed request
+ * The 1.x client attaches the response, the 2.x/3.x client and the http sink the status code
+ * @param {Error & { statusCode?: number, res?: { statusCode?: number } }} error - Request error
+ * @returns {number | undefined} HTTP status code, undefined for network errors
+ */
+function getStatusCode(error) {
+  return error.statusCode ?? error.res?.statusCode;
+}
+
+/**
+ * Checks whether a write was rejected for good
+ * A 4xx response other than 429 (e.g. 400 for malformed line protocol) fails the same way on
+ * every retry, so the batch is dropped instead of being retried, requeued or spooled
+ * @param {Error} error - Write error
+ * @returns {boolean} True if the request was rejected with a permanent client error
+ */
+export function isPermanentWriteError(error) {
+  const statusCode = getStatusCode(error);
+  return statusCode >= 400 && statusCode < 500 && statusCode !== 429;
+}
+
 /**
  * Determines if an error should trigger a retry attempt
  * @param {Error} error - The error to check
@@ -76,6 +108,13 @@ const RETRYABLE_ERROR_PATTERNS = [
  * @returns {{ shouldRetry: boolean, maxAttempts?: number, message: string }} Object containing retry decision, max attempts if applicable, and error message
  */
 function isRetryableError(error, attempt) {
+  if (isPermanentWriteError(error)) {
+    return {
+      shouldRetry: false,
+      message: `Request rejected with status ${getStatusCode(error)}: ${error.message}`
+    };
+  }
+
   // Check for fatal errors first
   for (const { pattern, message } of FATAL_ERROR_PATTERNS) {
     if (pattern.test(error.message)) {
@@ -102,31 +141,13 @@ function isRetryableError(error, attempt) {
 }
 
 /**
- * Creates a retryable InfluxDB client wrapper
- * @param {object} influx - Original InfluxDB client instance
- * @param {RetryOptions} [options] - Retry configuration options
- * @returns {RetryableInflux} Wrapped InfluxDB client with retry capabilities
- * @example
- * const influx = new InfluxDB({
- *   host: 'localhost',
- *   database: 'my-db'
- * });
- *
- * const retryableInflux = createRetryableInflux(influx, {
- *   maxRetries: 3,
- *   initialDelayMs: 1000
- * });
- *
- * // Operations will now automatically retry on failure
- * await retryableInflux.writePoints([
- *   {
- *     measurement: 'cpu',
- *     tags: { host: 'server1' },
- *     fields: { value: 0.64 }
- *   }
- * ]);
+ * Creates a shutdown-aware retry runner for InfluxDB operations
+ * Fatal errors (authentication, missing database/bucket, rejected requests) are not retried.
+ * Also used by the http sink, whose endpoints answer like InfluxDB
+ * @param {RetryOptions} options - Retry configuration options
+ * @returns {{ run: function(function(): Promise<any>): Promise<any>, close: function(): Promise<void> }} Retry runner
  */
-export function createRetryableInflux(influx, options = DEFAULT_RETRY_OPTIONS) {
+export function createInfluxRetry(options) {
   let influxClientShutdown = false;
 
   /**
@@ -135,7 +156,7 @@ export function createRetryableInflux(influx, options = DEFAULT_RETRY_OPTIONS) {
    * @param {() => Promise<T>} operation - Operation to retry
    * @returns {Promise<T>} The result of the operation
    */
-  function withInfluxRetry(operation) {
+  function run(operation) {
     if (influxClientShutdown) {
       throw new Error('InfluxDB client is shutdown');
     }
@@ -155,15 +176,78 @@ export function createRetryableInflux(influx, options = DEFAULT_RETRY_OPTIONS) {
   }
 
   return {
-    writePoints: points => withInfluxRetry(() => influx.writePoints(points)),
-    getDatabaseNames: () => withInfluxRetry(() => influx.getDatabaseNames()),
-    createDatabase: name => withInfluxRetry(() => influx.createDatabase(name)),
-    ping: () => withInfluxRetry(() => influx.ping()),
+    run,
 
     async close() {
       influxClientShutdown = true;
       log.info('InfluxDB client marked as shutdown');
-    },
+    }
+  };
+}
+
+/**
+ * Creates a retryable InfluxDB client wrapper
+ * @param {object} influx - Original InfluxDB client instance
+ * @param {RetryOptions} [options] - Retry configuration options
+ * @returns {RetryableInflux} Wrapped InfluxDB client with retry capabilities
+ * @example
+ * const influx = new InfluxDB({
+ *   host: 'localhost',
+ *   database: 'my-db'
+ * });
+ *
+ * const retryableInflux = createRetryableInflux(influx, {
+ *   maxRetries: 3,
+ *   initialDelayMs: 1000
+ * });
+ *
+ * // Operations will now automatically retry on failure
+ * await retryableInflux.writePoints([
+ *   {
+ *     measurement: 'cpu',
+ *     tags: { host: 'server1' },
+ *     fields: { value: 0.64 }
+ *   }
+ * ]);
+ */
+export function createRetryableInflux(influx, options = DEFAULT_RETRY_OPTIONS) {
+  const retry = createInfluxRetry(options);
+
+  return {
+    writePoints: points => retry.run(() => influx.writePoints(points)),
+    getDatabaseNames: () => retry.run(() => influx.getDatabaseNames()),
+    createDatabase: name => retry.run(() => influx.createDatabase(name)),
+    ping: () => retry.run(() => influx.ping()),
+    close: retry.close,
+
+    _influx: influx
+  };
+}
+
+/**
+ * Creates a retryable InfluxDB 2.x/3.x client wrapper
+ * Applies the same retry semantics as {@link createRetryableInflux}
+ * @param {import('./influx-v2.mjs').InfluxV2Client} influx - InfluxDB 2.x/3.x client instance
+ * @param {RetryOptions} [options] - Retry configuration options
+ * @returns {RetryableInfluxV2} Wrapped InfluxDB client with retry capabilities
+ * @example
+ * const retryableInflux = createRetryableInfluxV2(
+ *   createInfluxV2Client({ host: 'localhost', port: 8086, protocol: 'http', token, org, bucket }),
+ *   { maxRetries: 3, initialDelayMs: 1000 }
+ * );
+ *
+ * if (!(await retryableInflux.bucketExists())) {
+ *   throw new Error('Bucket missing');
+ * }
+ */
+export function createRetryableInfluxV2(influx, options = DEFAULT_RETRY_OPTIONS) {
+  const retry = createInfluxRetry(options);
+
+  return {
+    writePoints: points => retry.run(() => influx.writePoints(points)),
+    bucketExists: name => retry.run(() => influx.bucketExists(name)),
+    ping: () => retry.run(() => influx.ping()),
+    close: retry.close,
 
     _influx: influx
   };
@@ -0,0 +1,142 @@
+/**
+ * InfluxDB Line Protocol
+ * Pure functions for serializing points into InfluxDB line protocol
+ * @module utils/line-protocol
+ */
+
+/**
+ * @typedef {import('./batch.mjs').Point} Point
+ */
+
+/**
+ * Characters escaped in keys and tag values
+ * @type {Set<string>}
+ */
+const KEY_SPECIAL_CHARS = new Set([',', '=', ' ']);
+
+/**
+ * Escapes a measurement name (commas and spaces)
+ * @param {string} value - Measurement name
+ * @returns {string} Escaped measurement name
+ */
+function escapeMeasurement(value) {
+  return String(value).replace(/[, ]/g, match => `\\${match}`);
+}
+
+/**
+ * Doubles the backslashes of a key or tag value that precede a special character or end it
+ * Other backslashes are read literally, these would escape the character or separator after them
+ * @param {string} value - Key or tag value
+ * @returns {string} Value with doubled backslashes
+ */
+function escapeBackslashes(value) {
+  let result = '';
+  let backslashes = '';
+  for (const char of value) {
+    if (char === '\\') {
+      backslashes += char;
+      continue;
+    }
+    result += (KEY_SPECIAL_CHARS.has(char) ? backslashes.repeat(2) : backslashes) + char;
+    backslashes = '';
+  }
+  return result + backslashes.repeat(2);
+}
+
+/**
+ * Escapes a tag key, tag value or field key (commas, equal signs and spaces)
+ * @param {string} value - Key or tag value
+ * @returns {string} Escaped key or tag value
+ */
+function escapeKey(value) {
+  return escapeBackslashes(String(value).replace(/[\r\n]+/g, ' ')).replace(
+    /[,= ]/g,
+    match => `\\${match}`
+  );
+}
+
+/**
+ * Escapes a string field value (double quotes, backslashes and line breaks)
+ * Line breaks would end the line, so they are written as `\n` and `\r`
+ * @param {string} value - String field value
+ * @returns {string} Quoted and escaped string field value
+ */
+function escapeStringField(value) {
+  const escaped = value
+    .replace(/["\\]/g, match => `\\${match}`)
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  return `"${escaped}"`;
+}
+
+/**
+ * Formats a single field value
+ * Numbers are written as floats, matching the behaviour of the 1.x client without a schema
+ * @param {unknown} value - Field value
+ * @returns {string | null} Formatted value or null if the value cannot be written
+ */
+function formatFieldValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (typeof value === 'string') {
+    return escapeStringField(value);
+  }
+  return null;
+}
+
+/**
+ * Converts a point timestamp into milliseconds since epoch
+ * @param {Date|string|number} [timestamp] - Point timestamp
+ * @returns {number | null} Milliseconds since epoch or null if not set or invalid
+ */
+function toMilliseconds(timestamp) {
+  if (timestamp === undefined || timestamp === null) {
+    return null;
+  }
+
+  const ms = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Serializes a single point into a line protocol line (millisecond precision)
+ * @param {Point} point - Point to serialize
+ * @returns {string | null} Line protocol line or null if the point has no writable fields
+ */
+export function serializePoint(point) {
+  const tags = Object.entries(point.tags || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, value]) => `,${escapeKey(key)}=${escapeKey(value)}`)
+    .join('');
+
+  const fields = Object.entries(point.fields || {})
+    .map(([key, value]) => {
+      const formatted = formatFieldValue(value);
+      return formatted === null ? null : `${escapeKey(key)}=${formatted}`;
+    })
+    .filter(Boolean)
+    .join(',');
+
+  if (!fields) {
+    return null;
+  }
+
+  const timestamp = toMilliseconds(point.timestamp);
+  const line = `${escapeMeasurement(point.measurement)}${tags} ${fields}`;
+
+  return timestamp === null ? line : `${line} ${timestamp}`;
+}
+
+/**
+ * Serializes points into a line protocol body
+ * @param {Point[]} points - Points to serialize
+ * @returns {string} Newline separated line protocol body
+ */
+export function serializePoints(points) {
+  return points.map(serializePoint).filter(Boolean).join('\n');
+}
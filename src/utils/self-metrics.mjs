@@ -0,0 +1,57 @@
+/**
+ * Self Metrics
+ * Process-wide counters describing the service itself (dropped points, corrections, ...)
+ * @module utils/self-metrics
+ */
+
+/**
+ * @typedef {object} Counter
+ * @property {string} name - Counter name, e.g. `points_dropped`
+ * @property {Record<string, string>} labels - Labels distinguishing series of the same counter
+ * @property {number} value - Current value
+ */
+
+/** @type {Map<string, Counter>} */
+const counters = new Map();
+
+/**
+ * Builds a stable key for a counter series
+ * @param {string} name - Counter name
+ * @param {Record<string, string>} labels - Counter labels
+ * @returns {string} Series key
+ */
+function getSeriesKey(name, labels) {
+  const sortedLabels = Object.keys(labels)
+    .sort()
+    .map(key => `${key}=${labels[key]}`);
+  return [name, ...sortedLabels].join(',');
+}
+
+/**
+ * Increments a counter
+ * @param {string} name - Counter name
+ * @param {Record<string, string>} [labels] - Counter labels
+ * @param {number} [value] - Amount to add, defaults to 1
+ * @example
+ * incrementCounter('points_dropped', { sink: 'influxdb', reason: 'drop_oldest' }, 120);
+ */
+export function incrementCounter(name, labels = {}, value = 1) {
+  const key = getSeriesKey(name, labels);
+  const counter = counters.get(key);
+
+  if (counter) {
+    counter.value += value;
+  } else {
+    counters.set(key, { name, labels: { ...labels }, value });
+  }
+}
+
+/**
+ * Returns a snapshot of all counters
+ * @returns {Counter[]} Counters sorted by series key
+ */
+export function getCounters() {
+  return Array.from(counters.entries())
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([, counter]) => ({ ...counter, labels: { ...counter.labels } }));
+}
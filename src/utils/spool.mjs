@@ -0,0 +1,239 @@
+/**
+ * Disk Spool
+ * Segmented on-disk queue that keeps points while a sink is unavailable
+ * @module utils/spool
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import log from 'loglevel';
+
+/**
+ * @typedef {import('./batch.mjs').Point} Point
+ */
+
+/**
+ * @typedef {object} SpoolOptions
+ * @property {string} directory - Directory holding the segment files
+ * @property {number} [maxSegmentBytes=8388608] - Size after which a new segment is started
+ * @property {number} [maxTotalBytes=268435456] - Total size cap, oldest segments are dropped beyond it
+ * @property {number} [maxAgeMs=86400000] - Segments not written to for longer than this are dropped
+ */
+
+/**
+ * @typedef {object} SpoolSegment
+ * @property {string} file - Absolute path of the segment file
+ * @property {number} bytes - Current size in bytes
+ * @property {number} modifiedAt - Time of the last append (ms since epoch)
+ */
+
+/**
+ * @typedef {object} DiskSpool
+ * @property {function(Point[]): Promise<void>} append - Appends points to the newest segment
+ * @property {function(): Promise<{ segment: SpoolSegment, points: Point[] } | null>} readOldest - Reads the oldest segment
+ * @property {function(SpoolSegment): Promise<void>} remove - Deletes a segment after it was replayed
+ * @property {function(): Promise<boolean>} isEmpty - Whether no points are spooled
+ * @property {function(): number} size - Total size of all segments in bytes
+ */
+
+const DEFAULT_SPOOL_OPTIONS = {
+  maxSegmentBytes: 8 * 1024 * 1024,
+  maxTotalBytes: 256 * 1024 * 1024,
+  maxAgeMs: 24 * 60 * 60 * 1000
+};
+
+const SEGMENT_EXTENSION = '.ndjson';
+
+/**
+ * Restores a point read back from a segment
+ * @param {Point} point - Deserialized point
+ * @returns {Point} Point with its timestamp as a Date
+ */
+function revivePoint(point) {
+  return typeof point.timestamp === 'string'
+    ? { ...point, timestamp: new Date(point.timestamp) }
+    : point;
+}
+
+/**
+ * Creates a disk spool
+ * Segment files are NDJSON (one point per line) and named so that sorting by name
+ * gives write order, which keeps the replay order stable across restarts
+ * @param {SpoolOptions} options - Spool options
+ * @returns {DiskSpool} Disk spool instance
+ * @example
+ * const spool = createDiskSpool({ directory: '/data/spool/influxdb' });
+ *
+ * await spool.append(points);
+ *
+ * const oldest = await spool.readOldest();
+ * if (oldest) {
+ *   await influx.writePoints(oldest.points);
+ *   await spool.remove(oldest.segment);
+ * }
+ */
+export function createDiskSpool(options) {
+  const config = { ...DEFAULT_SPOOL_OPTIONS, ...options };
+  /** @type {SpoolSegment[]} */
+  let segments = [];
+  let sequence = 0;
+  // Serializes all file operations so appends, rotation and removal never interleave
+  let queue = loadSegments().catch(err => {
+    log.error(`Failed to load spool segments from ${config.directory}:`, err);
+  });
+
+  /**
+   * Runs a file operation after all previously queued ones
+   * @template T
+   * @param {() => Promise<T>} operation - Operation to run
+   * @returns {Promise<T>} Result of the operation
+   */
+  function enqueue(operation) {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Loads existing segments left over from a previous run
+   * @returns {Promise<void>}
+   */
+  async function loadSegments() {
+    await fs.mkdir(config.directory, { recursive: true });
+    const files = (await fs.readdir(config.directory))
+      .filter(file => file.endsWith(SEGMENT_EXTENSION))
+      .sort();
+
+    for (const file of files) {
+      const fullPath = path.join(config.directory, file);
+      const stats = await fs.stat(fullPath);
+      segments.push({ file: fullPath, bytes: stats.size, modifiedAt: stats.mtimeMs });
+    }
+
+    await enforceLimits();
+
+    if (segments.length > 0) {
+      log.info(
+        `Found ${segments.length} spooled segment(s) (${size()} bytes) in ${config.directory}`
+      );
+    }
+  }
+
+  /**
+   * Total size of all segments
+   * @returns {number} Size in bytes
+   */
+  function size() {
+    return segments.reduce((total, segment) => total + segment.bytes, 0);
+  }
+
+  /**
+   * Deletes a segment file and forgets it
+   * @param {SpoolSegment} segment - Segment to delete
+   * @returns {Promise<void>}
+   */
+  async function deleteSegment(segment) {
+    segments = segments.filter(existing => existing !== segment);
+    await fs.rm(segment.file, { force: true });
+  }
+
+  /**
+   * Drops segments that are too old or exceed the total size cap, oldest first
+   * @returns {Promise<void>}
+   */
+  async function enforceLimits() {
+    const now = Date.now();
+
+    for (const segment of [...segments]) {
+      if (now - segment.modifiedAt > config.maxAgeMs) {
+        log.warn(`Dropping expired spool segment ${segment.file} (${segment.bytes} bytes)`);
+        await deleteSegment(segment);
+      }
+    }
+
+    while (segments.length > 1 && size() > config.maxTotalBytes) {
+      const [oldest] = segments;
+      log.warn(`Spool size limit exceeded, dropping ${oldest.file} (${oldest.bytes} bytes)`);
+      await deleteSegment(oldest);
+    }
+  }
+
+  /**
+   * Starts a new segment file
+   * @returns {SpoolSegment} The new segment
+   */
+  function startSegment() {
+    sequence = (sequence + 1) % 1_000_000;
+    const name = `${String(Date.now()).padStart(15, '0')}-${String(sequence).padStart(6, '0')}`;
+    const segment = {
+      file: path.join(config.directory, `${name}${SEGMENT_EXTENSION}`),
+      bytes: 0,
+      modifiedAt: Date.now()
+    };
+    segments.push(segment);
+    return segment;
+  }
+
+  return {
+    append(points) {
+      return enqueue(async () => {
+        if (points.length === 0) {
+          return;
+        }
+
+        const data = `${points.map(point => JSON.stringify(point)).join('\n')}\n`;
+        const bytes = Buffer.byteLength(data);
+        const last = segments.at(-1);
+        const segment = last && last.bytes < config.maxSegmentBytes ? last : startSegment();
+
+        await fs.appendFile(segment.file, data);
+        segment.bytes += bytes;
+        segment.modifiedAt = Date.now();
+
+        await enforceLimits();
+      });
+    },
+
+    readOldest() {
+      return enqueue(async () => {
+        // Sealed segments that never received data have no file
+        while (segments.length > 1 && segments[0].bytes === 0) {
+          segments.shift();
+        }
+
+        const [oldest] = segments;
+        if (!oldest || oldest.bytes === 0) {
+          return null;
+        }
+
+        // Seal the segment, so nothing is appended while it is being replayed
+        if (oldest === segments.at(-1)) {
+          startSegment();
+        }
+
+        const content = await fs.readFile(oldest.file, 'utf8');
+        const points = [];
+        for (const line of content.split('\n')) {
+          if (!line) continue;
+          try {
+            points.push(revivePoint(JSON.parse(line)));
+          } catch (err) {
+            log.warn(`Skipping corrupt line in spool segment ${oldest.file}: ${err.message}`);
+          }
+        }
+
+        return { segment: oldest, points };
+      });
+    },
+
+    remove(segment) {
+      return enqueue(() => deleteSegment(segment));
+    },
+
+    isEmpty() {
+      return enqueue(async () => segments.every(segment => segment.bytes === 0));
+    },
+
+    size
+  };
+}
@@ -0,0 +1,145 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+/**
+ * Loads the configuration with the given environment
+ * @param {Record<string, string>} env - Environment variables
+ * @returns {Promise<import('../../src/types/config.mjs').Config>} Configuration
+ */
+async function loadConfig(env) {
+  for (const [key, value] of Object.entries(env)) {
+    vi.stubEnv(key, value);
+  }
+  vi.resetModules();
+  const { config } = await import('../../src/config/config.mjs');
+  return config;
+}
+
+describe('DOCKER_TLS_VERIFY', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it.each(['1', '0', 'false'])('enables verification for %j like the Docker CLI', async value => {
+    const config = await loadConfig({ DOCKER_HOST: 'tcp://docker:2375', DOCKER_TLS_VERIFY: value });
+
+    expect(config.docker.hosts[0]).toMatchObject({ protocol: 'https', tls: { verify: true } });
+  });
+
+  it('leaves plain TCP endpoints without TLS when empty', async () => {
+    const config = await loadConfig({ DOCKER_HOST: 'tcp://docker:2375', DOCKER_TLS_VERIFY: '' });
+
+    expect(config.docker.hosts[0]).toMatchObject({ protocol: 'http' });
+    expect(config.docker.hosts[0].tls).toBeUndefined();
+  });
+});
+
+describe('http sinks', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('reads the endpoint, health check and retry settings of the sink', async () => {
+    const config = await loadConfig({
+      METRICS_SINKS: 'http',
+      SINK_HTTP_URL: 'https://victoriametrics:8428/write',
+      SINK_HTTP_HEALTH_URL: 'https://victoriametrics:8428/health',
+      SINK_HTTP_RETRY_MAX: '2'
+    });
+
+    expect(config.sinks[0].http).toMatchObject({
+      url: 'https://victoriametrics:8428/write',
+      healthUrl: 'https://victoriametrics:8428/health',
+      retry: { maxRetries: 2, initialDelayMs: 1000 }
+    });
+  });
+
+  it('leaves the health check off without a health URL', async () => {
+    const config = await loadConfig({
+      METRICS_SINKS: 'http',
+      SINK_HTTP_URL: 'https://victoriametrics:8428/write'
+    });
+
+    expect(config.sinks[0].http.healthUrl).toBe('');
+  });
+});
+
+describe('DOCKER_EVENTS_ENABLED', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('leaves the docker_events measurement off unless enabled', async () => {
+    expect((await loadConfig({})).docker.events.enabled).toBe(false);
+    expect((await loadConfig({ DOCKER_EVENTS_ENABLED: 'true' })).docker.events.enabled).toBe(true);
+  });
+});
+
+describe('DOCKER_HOSTS', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('parses named and unnamed endpoints', async () => {
+    const config = await loadConfig({
+      DOCKER_HOSTS:
+        'local=unix:///var/run/docker.sock, edge-1=tcp://edge-1.lan:2376,tcp://edge-2.lan',
+      DOCKER_CERT_PATH: '/certs'
+    });
+
+    expect(config.docker.hosts).toEqual([
+      { name: 'local', socketPath: '/var/run/docker.sock' },
+      {
+        name: 'edge-1',
+        protocol: 'https',
+        host: 'edge-1.lan',
+        port: 2376,
+        tls: { verify: false, certPath: '/certs' }
+      },
+      { name: 'edge-2.lan', protocol: 'http', host: 'edge-2.lan', port: 2375 }
+    ]);
+  });
+
+  it('skips blank entries', async () => {
+    const config = await loadConfig({
+      DOCKER_HOSTS: 'a=tcp://docker-a:2375,, ,b=tcp://docker-b:2375,'
+    });
+
+    expect(config.docker.hosts.map(({ name }) => name)).toEqual(['a', 'b']);
+  });
+
+  it('rejects duplicate names', async () => {
+    await expect(
+      loadConfig({ DOCKER_HOSTS: 'edge=tcp://edge-1.lan:2375,edge=tcp://edge-2.lan:2375' })
+    ).rejects.toThrow('Docker host names in DOCKER_HOSTS must be unique');
+  });
+
+  it('takes precedence over DOCKER_HOST', async () => {
+    const config = await loadConfig({
+      DOCKER_HOSTS: 'edge=tcp://edge-1.lan:2375',
+      DOCKER_HOST: 'tcp://docker:2375'
+    });
+
+    expect(config.docker.hosts).toEqual([
+      { name: 'edge', protocol: 'http', host: 'edge-1.lan', port: 2375 }
+    ]);
+  });
+
+  it('falls back to DOCKER_HOST when it only holds blank entries', async () => {
+    const config = await loadConfig({ DOCKER_HOSTS: ' , ', DOCKER_HOST: 'tcp://docker:2375' });
+
+    expect(config.docker.hosts).toEqual([
+      { name: 'docker', protocol: 'http', host: 'docker', port: 2375 }
+    ]);
+  });
+});
+
+describe('DERIVED_RATES', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('leaves the derived rates off unless enabled', async () => {
+    expect((await loadConfig({})).derivedRates).toBe(false);
+    expect((await loadConfig({ DERIVED_RATES: 'true' })).derivedRates).toBe(true);
+  });
+});
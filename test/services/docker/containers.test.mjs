@@ -0,0 +1,169 @@
+import { PassThrough } from 'node:stream';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { config } from '../../../src/config/config.mjs';
+import { createContainerWatcher } from '../../../src/services/docker/containers.mjs';
+import { calculateBackoff } from '../../../src/utils/common.mjs';
+
+const docker = vi.hoisted(() => ({ listContainers: vi.fn(), getContainer: vi.fn() }));
+
+vi.mock('../../../src/services/docker/client.mjs', () => ({
+  createDockerClient: () => docker
+}));
+
+vi.mock('../../../src/utils/common.mjs', async importOriginal => {
+  const actual = await importOriginal();
+  return { ...actual, calculateBackoff: vi.fn(actual.calculateBackoff) };
+});
+
+/**
+ * Creates a Docker API error
+ * @param {number} statusCode - HTTP status
+ * @returns {Error & { statusCode: number }} Docker API error
+ */
+function createDockerError(statusCode) {
+  return Object.assign(new Error(`(HTTP code ${statusCode})`), { statusCode });
+}
+
+describe('createContainerWatcher', () => {
+  /** @type {Set<string>} IDs of the running containers, the container name equals the ID */
+  let running;
+  /** @type {Map<string, PassThrough>} Latest stats stream per container */
+  let streams;
+  /** @type {string[]} IDs of the containers whose stats were requested, in request order */
+  let requests;
+  let onContainerGone;
+  let watcher;
+
+  beforeEach(() => {
+    running = new Set();
+    streams = new Map();
+    requests = [];
+    docker.listContainers
+      .mockReset()
+      .mockImplementation(async () =>
+        Array.from(running, id => ({ Id: id, Names: [`/${id}`], Image: 'nginx', Labels: {} }))
+      );
+    docker.getContainer.mockReset().mockImplementation(id => ({
+      id,
+      inspect: async () => {
+        if (!running.has(id)) throw createDockerError(404);
+        return { Name: `/${id}`, State: { Running: true }, Config: { Image: 'nginx' } };
+      },
+      stats: vi.fn(async () => {
+        requests.push(id);
+        if (!running.has(id)) throw createDockerError(404);
+        const stream = new PassThrough();
+        streams.set(id, stream);
+        return stream;
+      })
+    }));
+    onContainerGone = vi.fn();
+    watcher = createContainerWatcher(vi.fn(), { name: 'local' }, onContainerGone);
+  });
+
+  afterEach(async () => {
+    await watcher.shutdown();
+    vi.useRealTimers();
+  });
+
+  describe('reconcile', () => {
+    it('starts missing streams and drops the streams of removed containers', async () => {
+      running = new Set(['web', 'db']);
+      await watcher.watchRunningContainers();
+      const dbStream = streams.get('db');
+
+      running = new Set(['web', 'cache']);
+      const result = await watcher.reconcile();
+
+      expect(result).toEqual({ started: 1, removed: 1 });
+      expect(streams.has('cache')).toBe(true);
+      expect(dbStream.destroyed).toBe(true);
+      expect(onContainerGone).toHaveBeenCalledWith('db');
+      expect(streams.get('web').destroyed).toBe(false);
+
+      expect(await watcher.reconcile()).toEqual({ started: 0, removed: 0 });
+    });
+  });
+
+  describe('stream restarts', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      calculateBackoff.mockClear();
+      Object.assign(config.docker.restart, {
+        delayMs: 1000,
+        maxDelayMs: 30000,
+        breakerThreshold: 5,
+        breakerWindowMs: 300000
+      });
+    });
+
+    it('restarts an ended stream after the backoff delay', async () => {
+      running = new Set(['web']);
+      await watcher.watchContainer('web', 'web');
+
+      streams.get('web').end();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(calculateBackoff).toHaveBeenLastCalledWith({
+        attempt: 1,
+        initialDelayMs: 1000,
+        maxDelayMs: 30000
+      });
+      const firstDelay = calculateBackoff.mock.results[0].value;
+
+      await vi.advanceTimersByTimeAsync(firstDelay - 1);
+      expect(requests).toEqual(['web']);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(requests).toEqual(['web', 'web']);
+
+      // The second failure within the breaker window backs off further
+      streams.get('web').end();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(calculateBackoff).toHaveBeenLastCalledWith(expect.objectContaining({ attempt: 2 }));
+      await vi.advanceTimersByTimeAsync(calculateBackoff.mock.results[1].value);
+      expect(requests).toEqual(['web', 'web', 'web']);
+      expect(onContainerGone).not.toHaveBeenCalled();
+    });
+
+    it('drops a container the daemon no longer knows instead of restarting it', async () => {
+      await watcher.watchContainer('gone', 'gone');
+
+      expect(onContainerGone).toHaveBeenCalledWith('gone');
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(requests).toEqual(['gone']);
+      expect(calculateBackoff).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('pauses and resumes the stats streams', async () => {
+      running = new Set(['web', 'db']);
+      await watcher.watchRunningContainers();
+
+      watcher.pause();
+      expect([...streams.values()].map(stream => stream.isPaused())).toEqual([true, true]);
+
+      watcher.resume();
+      expect([...streams.values()].map(stream => stream.isPaused())).toEqual([false, false]);
+    });
+
+    it('skips the polling rounds while paused', async () => {
+      vi.useFakeTimers();
+      const { collection } = config.docker;
+      const { mode, pollIntervalMs } = collection;
+      Object.assign(collection, { mode: 'poll', pollIntervalMs: 10000 });
+      await watcher.shutdown();
+      watcher = createContainerWatcher(vi.fn(), { name: 'local' }, onContainerGone);
+      Object.assign(collection, { mode, pollIntervalMs });
+
+      running = new Set(['web']);
+      await watcher.watchRunningContainers();
+      watcher.pause();
+      await vi.advanceTimersByTimeAsync(30000);
+      expect(requests).toEqual([]);
+
+      watcher.resume();
+      await vi.advanceTimersByTimeAsync(10000);
+      expect(requests).toEqual(['web']);
+    });
+  });
+});
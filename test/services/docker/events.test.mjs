@@ -0,0 +1,130 @@
+import { PassThrough } from 'node:stream';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { config } from '../../../src/config/config.mjs';
+import { createDockerEventsManager } from '../../../src/services/docker/events.mjs';
+import { getCounters } from '../../../src/utils/self-metrics.mjs';
+
+const docker = vi.hoisted(() => ({ getEvents: vi.fn() }));
+
+vi.mock('../../../src/services/docker/client.mjs', () => ({
+  createDockerClient: () => docker,
+  describeDockerHost: () => 'test daemon'
+}));
+
+const START_TIME = 1736339521;
+
+/**
+ * Builds a container event
+ * @param {string} action - Event action
+ * @param {string} containerId - Container ID
+ * @param {number} time - Event time in seconds
+ * @returns {import('../../../src/types/docker.mjs').DockerEvent} Docker event
+ */
+function buildEvent(action, containerId, time) {
+  return {
+    Type: 'container',
+    Action: action,
+    Actor: { ID: containerId, Attributes: { name: containerId, image: 'nginx' } },
+    time,
+    timeNano: time * 1e9
+  };
+}
+
+/**
+ * Writes events to an events stream as newline-delimited JSON
+ * @param {PassThrough} stream - Events stream
+ * @param {Array<object>} events - Events to write
+ */
+function emitEvents(stream, events) {
+  stream.write(events.map(event => `${JSON.stringify(event)}\n`).join(''));
+}
+
+/**
+ * Returns the number of reconnects counted for the test daemon
+ * @returns {number} Reconnect count
+ */
+function countReconnects() {
+  return (
+    getCounters().find(
+      ({ name, labels }) => name === 'docker_events_reconnects' && labels.docker_host === 'local'
+    )?.value ?? 0
+  );
+}
+
+describe('createDockerEventsManager', () => {
+  /** @type {PassThrough[]} */
+  let streams;
+  let callbacks;
+  let manager;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: START_TIME * 1000 });
+    config.docker.events.enabled = true;
+    config.docker.events.reconnectDelayMs = 1000;
+    config.docker.events.reconnectMaxDelayMs = 30000;
+
+    streams = [];
+    docker.getEvents.mockReset().mockImplementation(async () => {
+      const stream = new PassThrough();
+      streams.push(stream);
+      return stream;
+    });
+    callbacks = { onContainerStart: vi.fn(), onContainerStop: vi.fn(), onEvent: vi.fn() };
+    manager = createDockerEventsManager(callbacks, { name: 'local', socketPath: '/run/docker' });
+  });
+
+  afterEach(async () => {
+    await manager.stopMonitoring();
+    vi.useRealTimers();
+  });
+
+  it('reopens the stream with backoff after it ends or fails', async () => {
+    await manager.startMonitoring();
+    expect(docker.getEvents).toHaveBeenLastCalledWith(
+      expect.objectContaining({ since: START_TIME })
+    );
+
+    emitEvents(streams[0], [buildEvent('pause', 'web', START_TIME + 5)]);
+    streams[0].end();
+    await vi.advanceTimersByTimeAsync(1100);
+
+    expect(docker.getEvents).toHaveBeenCalledTimes(2);
+    expect(docker.getEvents).toHaveBeenLastCalledWith(
+      expect.objectContaining({ since: START_TIME + 5 })
+    );
+    expect(countReconnects()).toBe(1);
+
+    // The first reopen attempt fails, the next one waits twice as long
+    docker.getEvents.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    streams[1].emit('error', new Error('socket hang up'));
+    await vi.advanceTimersByTimeAsync(1100);
+    expect(docker.getEvents).toHaveBeenCalledTimes(3);
+
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(docker.getEvents).toHaveBeenCalledTimes(3);
+    await vi.advanceTimersByTimeAsync(800);
+    expect(docker.getEvents).toHaveBeenCalledTimes(4);
+    expect(countReconnects()).toBe(2);
+  });
+
+  it('records events replayed after a reconnect only once', async () => {
+    await manager.startMonitoring();
+    const first = buildEvent('die', 'web', START_TIME + 1);
+    emitEvents(streams[0], [buildEvent('pause', 'old', START_TIME - 1), first]);
+    streams[0].end();
+    await vi.advanceTimersByTimeAsync(1100);
+
+    // `since` has a resolution of one second, so the reopened stream repeats `first`
+    const sameSecond = buildEvent('die', 'api', START_TIME + 1);
+    const later = buildEvent('pause', 'web', START_TIME + 2);
+    emitEvents(streams[1], [first, sameSecond, later]);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(callbacks.onEvent.mock.calls.map(([event]) => event)).toEqual([
+      first,
+      sameSecond,
+      later
+    ]);
+    expect(callbacks.onContainerStop.mock.calls).toEqual([['web'], ['api']]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createContainerFilter,
+  normalizeImage,
+  parseFilterRule
+} from '../../../src/services/docker/filters.mjs';
+
+const SHOP_WEB = {
+  name: 'shop-web-1',
+  image: 'nginx',
+  labels: { 'com.docker.compose.project': 'shop', tier: 'frontend' }
+};
+
+const CI_RUNNER = {
+  name: 'ci-runner-1',
+  image: 'registry:5000/ci/runner-builder:2.1',
+  labels: { 'com.docker.compose.project': 'shop', 'com.example.ephemeral': 'true' }
+};
+
+describe('parseFilterRule', () => {
+  it('matches names by regular expression', () => {
+    const rule = parseFilterRule('name:^ci-');
+
+    expect(rule.test(CI_RUNNER)).toBe(true);
+    expect(rule.test(SHOP_WEB)).toBe(false);
+  });
+
+  it('matches images by glob, with untagged references as latest', () => {
+    expect(parseFilterRule('image:nginx:latest').test(SHOP_WEB)).toBe(true);
+    expect(parseFilterRule('image:nginx').test({ ...SHOP_WEB, image: 'nginx:latest' })).toBe(true);
+    expect(parseFilterRule('image:*builder*').test(CI_RUNNER)).toBe(true);
+    expect(parseFilterRule('image:nginx:1.?').test(SHOP_WEB)).toBe(false);
+  });
+
+  it('matches label presence and label values', () => {
+    expect(parseFilterRule('label:tier').test(SHOP_WEB)).toBe(true);
+    expect(parseFilterRule('label:tier').test(CI_RUNNER)).toBe(false);
+    expect(parseFilterRule('label:tier=front*').test(SHOP_WEB)).toBe(true);
+    expect(parseFilterRule('label:tier=backend').test(SHOP_WEB)).toBe(false);
+  });
+
+  it('matches the compose project', () => {
+    expect(parseFilterRule('project:shop').test(SHOP_WEB)).toBe(true);
+    expect(parseFilterRule('project:shop').test({ name: 'solo' })).toBe(false);
+  });
+
+  it.each(['tier', 'name:', 'host:web', 'name:(unclosed'])(
+    'rejects the malformed rule %j',
+    rule => {
+      expect(() => parseFilterRule(rule)).toThrow(/container filter/);
+    }
+  );
+});
+
+describe('normalizeImage', () => {
+  it.each([
+    ['nginx', 'nginx:latest'],
+    ['nginx:1.27', 'nginx:1.27'],
+    ['registry:5000/team/app', 'registry:5000/team/app:latest'],
+    ['app@sha256:abc', 'app@sha256:abc'],
+    ['sha256:abc', 'sha256:abc'],
+    [undefined, '']
+  ])('normalizes %j to %j', (image, expected) => {
+    expect(normalizeImage(image)).toBe(expected);
+  });
+});
+
+describe('createContainerFilter', () => {
+  it('watches every container without rules', () => {
+    const filter = createContainerFilter({ include: [], exclude: [] });
+
+    expect(filter.matches(SHOP_WEB)).toBe(true);
+    expect(filter.matches(CI_RUNNER)).toBe(true);
+  });
+
+  it('requires one include rule to match and lets exclude rules win', () => {
+    const filter = createContainerFilter({
+      include: ['project:shop', 'name:^db-'],
+      exclude: ['label:com.example.ephemeral=true']
+    });
+
+    expect(filter.matches(SHOP_WEB)).toBe(true);
+    expect(filter.matches({ name: 'db-1' })).toBe(true);
+    expect(filter.describe({ name: 'cache-1' })).toBe('matches no include rule');
+    expect(filter.describe(CI_RUNNER)).toBe('excluded by "label:com.example.ephemeral=true"');
+  });
+});
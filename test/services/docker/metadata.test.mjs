@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+  extractContainerTags,
+  labelToTagKey,
+  parseImageReference
+} from '../../../src/services/docker/metadata.mjs';
+
+describe('parseImageReference', () => {
+  it.each([
+    ['nginx', { name: 'nginx', tag: 'latest' }],
+    ['nginx:1.27', { name: 'nginx', tag: '1.27' }],
+    ['registry:5000/team/app', { name: 'registry:5000/team/app', tag: 'latest' }],
+    ['registry:5000/team/app:1.2', { name: 'registry:5000/team/app', tag: '1.2' }],
+    ['app@sha256:abc', { name: 'app', tag: 'sha256:abc' }],
+    ['', { name: '', tag: '' }]
+  ])('splits %j', (image, expected) => {
+    expect(parseImageReference(image)).toEqual(expected);
+  });
+});
+
+describe('labelToTagKey', () => {
+  it('prefixes the label and replaces characters that are not tag safe', () => {
+    expect(labelToTagKey('com.example.Team-Name')).toBe('label_com_example_team_name');
+  });
+});
+
+describe('extractContainerTags', () => {
+  it('tags image, compose project and service and the allowlisted labels', () => {
+    const info = /** @type {import('dockerode').ContainerInspectInfo} */ ({
+      Config: {
+        Image: 'registry:5000/shop/web:1.2',
+        Labels: {
+          'com.docker.compose.project': 'shop',
+          'com.docker.compose.service': 'web',
+          'com.example.team': 'checkout',
+          'com.example.secret': 'hidden'
+        }
+      }
+    });
+
+    expect(extractContainerTags(info, ['com.example.team', 'tier'])).toEqual({
+      image_name: 'registry:5000/shop/web',
+      image_tag: '1.2',
+      compose_project: 'shop',
+      compose_service: 'web',
+      label_com_example_team: 'checkout'
+    });
+  });
+
+  it('leaves out the compose tags of containers outside compose', () => {
+    const info = /** @type {import('dockerode').ContainerInspectInfo} */ ({
+      Config: { Image: 'nginx', Labels: null }
+    });
+
+    expect(extractContainerTags(info, [])).toEqual({ image_name: 'nginx', image_tag: 'latest' });
+  });
+});
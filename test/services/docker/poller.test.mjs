@@ -0,0 +1,144 @@
+import fs from 'node:fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createStatsPoller } from '../../../src/services/docker/poller.mjs';
+import { getCounters } from '../../../src/utils/self-metrics.mjs';
+
+const sample = JSON.parse(
+  fs.readFileSync(new URL('../../fixtures/stats/linux-cgroup-v2.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Returns the number of failed stats requests counted for a Docker host
+ * @param {string} dockerHost - Docker host name
+ * @returns {number} Error count
+ */
+function countPollErrors(dockerHost) {
+  return (
+    getCounters().find(
+      ({ name, labels }) => name === 'poll_errors' && labels.docker_host === dockerHost
+    )?.value ?? 0
+  );
+}
+
+/**
+ * Resolves after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('createStatsPoller', () => {
+  let docker;
+  let onStats;
+  let onContainerGone;
+  let poller;
+
+  /**
+   * Creates the poller under test
+   * @param {string} dockerHost - Docker host name
+   * @param {object} [options] - Poller options
+   * @returns {ReturnType<typeof createStatsPoller>} Stats poller
+   */
+  function createPoller(dockerHost, options = {}) {
+    poller = createStatsPoller({
+      docker,
+      onStats,
+      onContainerGone,
+      intervalMs: 10000,
+      concurrency: 2,
+      timeoutMs: 5000,
+      dockerHost,
+      ...options
+    });
+    return poller;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    docker = { getContainer: vi.fn() };
+    onStats = vi.fn(async () => {});
+    onContainerGone = vi.fn();
+  });
+
+  afterEach(() => {
+    poller.stop();
+    vi.useRealTimers();
+  });
+
+  it('keeps at most `concurrency` stats requests open', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    docker.getContainer.mockImplementation(() => ({
+      stats: async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await delay(100);
+        inFlight--;
+        return sample;
+      }
+    }));
+    createPoller('limit');
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+      poller.addContainer(id, id);
+    }
+
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(inFlight).toBe(2);
+
+    await vi.advanceTimersByTimeAsync(300);
+    expect(maxInFlight).toBe(2);
+    expect(onStats).toHaveBeenCalledTimes(5);
+  });
+
+  it('requests one-shot stats and parses them', async () => {
+    const stats = vi.fn(async () => sample);
+    docker.getContainer.mockReturnValue({ stats });
+    createPoller('one-shot');
+    poller.addContainer('abc', 'web');
+
+    await vi.advanceTimersByTimeAsync(10000);
+
+    expect(docker.getContainer).toHaveBeenCalledWith('abc');
+    expect(stats).toHaveBeenCalledWith({ stream: false });
+    expect(onStats).toHaveBeenCalledWith(
+      'abc',
+      'web',
+      expect.objectContaining({ cpu_total_usage: 406981000, mem_used: 52428800 })
+    );
+  });
+
+  it('gives up on a stats request after the timeout and polls again in the next round', async () => {
+    const stats = vi.fn(() => new Promise(() => {}));
+    docker.getContainer.mockReturnValue({ stats });
+    createPoller('timeout');
+    poller.addContainer('abc', 'web');
+
+    await vi.advanceTimersByTimeAsync(10000 + 4999);
+    expect(countPollErrors('timeout')).toBe(0);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(countPollErrors('timeout')).toBe(1);
+    expect(onStats).not.toHaveBeenCalled();
+    expect(onContainerGone).not.toHaveBeenCalled();
+
+    // The round took as long as the timeout, so the next one starts after the rest of the interval
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(stats).toHaveBeenCalledTimes(2);
+  });
+
+  it('removes a container once the daemon no longer knows it', async () => {
+    docker.getContainer.mockReturnValue({
+      stats: async () => {
+        throw Object.assign(new Error('no such container'), { statusCode: 404 });
+      }
+    });
+    createPoller('gone');
+    poller.addContainer('abc', 'web');
+
+    await vi.advanceTimersByTimeAsync(10000);
+
+    expect(onContainerGone).toHaveBeenCalledWith('abc');
+    expect(poller.getActiveContainerIds()).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createStatsRecorder } from '../../../src/services/docker/recorder.mjs';
+import { readRecordings, replayFrames } from '../../../src/services/docker/replay.mjs';
+
+const SAMPLE = JSON.stringify({
+  read: '2025-01-08T12:32:01.030Z',
+  name: '/web',
+  cpu_stats: { cpu_usage: { total_usage: 200 }, system_cpu_usage: 2000, online_cpus: 1 },
+  precpu_stats: { cpu_usage: { total_usage: 100 }, system_cpu_usage: 1000 },
+  memory_stats: { usage: 1024, limit: 4096 }
+});
+
+describe('createStatsRecorder', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays frames split inside a multi-byte character with their tags', async () => {
+    const tags = { docker_host: 'local', label_team: 'web' };
+    const recorder = createStatsRecorder({ directory, getTags: () => tags });
+    const data = Buffer.from(`${SAMPLE.replace('/web', '/wéb')}\n`);
+    const split = data.indexOf('é') + 1;
+
+    recorder.record('abc', 'wéb', data.subarray(0, split));
+    recorder.record('abc', 'wéb', data.subarray(split));
+    await recorder.close();
+
+    const samples = [];
+    const summary = await replayFrames(await readRecordings([directory]), {
+      speed: 0,
+      onStats: async (containerId, containerName, parsedStats, metadata) => {
+        samples.push({ containerId, metadata });
+      }
+    });
+
+    expect(summary).toEqual({ frames: 2, samples: 1, invalidLines: 0 });
+    expect(samples).toEqual([{ containerId: 'abc', metadata: tags }]);
+  });
+
+  it('stops recording a container once the size limit is reached', async () => {
+    const recorder = createStatsRecorder({ directory, maxSize: 1000 });
+
+    for (let i = 0; i < 10; i++) {
+      recorder.record('abc', 'web', `${SAMPLE}\n`);
+    }
+    await recorder.close();
+
+    const size = fs.statSync(path.join(directory, 'abc.ndjson')).size;
+    expect(size).toBeGreaterThan(0);
+    expect(size).toBeLessThanOrEqual(1000);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { createLineSplitter } from '../../../src/services/docker/stats-parser.mjs';
+
+describe('createLineSplitter', () => {
+  it('joins lines split across chunks', () => {
+    const splitter = createLineSplitter({ maxLineSize: 100, maxBufferSize: 1000 });
+
+    expect(splitter.push(Buffer.from('{"a":'))).toEqual([]);
+    expect(splitter.push(Buffer.from('1}\n{"b":2}\n{"c"'))).toEqual(['{"a":1}', '{"b":2}']);
+    expect(splitter.size()).toBe(4);
+  });
+
+  it('discards an oversized line up to its newline', () => {
+    const splitter = createLineSplitter({ maxLineSize: 8, maxBufferSize: 1000 });
+
+    expect(splitter.push(Buffer.from('{"a":"xxxxxx'))).toEqual([]);
+    expect(splitter.push(Buffer.from('xx"}\n{"b":2}\n'))).toEqual(['{"b":2}']);
+  });
+
+  it('discards a line overflowing the buffer up to its newline', () => {
+    const splitter = createLineSplitter({ maxLineSize: 1000, maxBufferSize: 8 });
+
+    expect(splitter.push(Buffer.from('{"a":"xxxxxx'))).toEqual([]);
+    expect(splitter.size()).toBe(0);
+    expect(splitter.push(Buffer.from('xx"}\n{"b":2}\n'))).toEqual(['{"b":2}']);
+  });
+
+  it('copies the unfinished line out of the chunk', () => {
+    const splitter = createLineSplitter({ maxLineSize: 100, maxBufferSize: 1000 });
+    const chunk = Buffer.from('{"a":1}\n{"b"');
+
+    splitter.push(chunk);
+    chunk.fill(0);
+    expect(splitter.push(Buffer.from(':2}\n'))).toEqual(['{"b":2}']);
+  });
+});
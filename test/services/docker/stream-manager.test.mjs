@@ -0,0 +1,94 @@
+import fs from 'node:fs';
+import { PassThrough } from 'node:stream';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createStreamManager } from '../../../src/services/docker/stream-manager.mjs';
+import { getCounters } from '../../../src/utils/self-metrics.mjs';
+
+const line = `${JSON.stringify(
+  JSON.parse(
+    fs.readFileSync(new URL('../../fixtures/stats/linux-cgroup-v2.json', import.meta.url), 'utf8')
+  )
+)}\n`;
+
+/**
+ * Returns the number of stalled streams counted for a Docker host
+ * @param {string} dockerHost - Docker host name
+ * @returns {number} Stall count
+ */
+function countStalls(dockerHost) {
+  return (
+    getCounters().find(
+      ({ name, labels }) => name === 'stream_stalls' && labels.docker_host === dockerHost
+    )?.value ?? 0
+  );
+}
+
+describe('createStreamManager', () => {
+  let onStats;
+  let onStreamEnd;
+  let manager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    onStats = vi.fn(async () => {});
+    onStreamEnd = vi.fn();
+    manager = createStreamManager({
+      onStats,
+      onStreamEnd,
+      stallTimeoutMs: 8000,
+      dockerHost: 'local'
+    });
+  });
+
+  afterEach(async () => {
+    await manager.removeAllStreams();
+    vi.useRealTimers();
+  });
+
+  describe('stall watchdog', () => {
+    it('restarts a stream that has not produced a sample within the timeout', async () => {
+      const stalled = new PassThrough();
+      manager.addStream('abc', 'web', stalled);
+
+      await vi.advanceTimersByTimeAsync(6000);
+      stalled.write(line);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(onStats).toHaveBeenCalledTimes(1);
+
+      // Checked every 2000ms: silent for exactly the timeout at 14000ms, past it at 16000ms
+      await vi.advanceTimersByTimeAsync(8000);
+      expect(onStreamEnd).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(onStreamEnd).toHaveBeenCalledWith('abc');
+      expect(stalled.destroyed).toBe(true);
+      expect(manager.getActiveContainerIds()).toEqual([]);
+      expect(countStalls('local')).toBe(1);
+    });
+
+    it('leaves streams alone that keep producing samples', async () => {
+      const stream = new PassThrough();
+      manager.addStream('abc', 'web', stream);
+
+      for (let i = 0; i < 10; i++) {
+        await vi.advanceTimersByTimeAsync(5000);
+        stream.write(line);
+      }
+
+      expect(onStreamEnd).not.toHaveBeenCalled();
+      expect(manager.getActiveContainerIds()).toEqual(['abc']);
+    });
+
+    it('does not count a pause as a stall', async () => {
+      const stream = new PassThrough();
+      manager.addStream('abc', 'web', stream);
+
+      manager.pause();
+      await vi.advanceTimersByTimeAsync(30000);
+      manager.resume();
+      await vi.advanceTimersByTimeAsync(6000);
+
+      expect(onStreamEnd).not.toHaveBeenCalled();
+    });
+  });
+});
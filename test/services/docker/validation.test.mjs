@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { isWindowsStats, parseLine } from '../../../src/services/docker/validation.mjs';
+
+/**
+ * Reads a captured stats payload
+ * @param {string} name - Fixture name without extension
+ * @returns {string} Raw JSON line
+ */
+function readFixture(name) {
+  return fs.readFileSync(new URL(`../../fixtures/stats/${name}.json`, import.meta.url), 'utf8');
+}
+
+describe('Windows stats', () => {
+  const first = readFixture('windows-first');
+  const sample = readFixture('windows');
+
+  it('detects Windows payloads', () => {
+    expect(isWindowsStats(JSON.parse(first))).toBe(true);
+    expect(isWindowsStats(JSON.parse(sample))).toBe(true);
+    expect(isWindowsStats({ ...JSON.parse(sample), os_type: 'windows', num_procs: 0 })).toBe(true);
+  });
+
+  it('reports no CPU percent for the first sample without a preread time', () => {
+    const stats = parseLine(first);
+
+    expect(stats).not.toBeNull();
+    expect(stats.cpu_percent).toBe(0);
+    expect(stats.preread_time).toBeUndefined();
+  });
+
+  it('computes the CPU percent from 100ns intervals and num_procs', () => {
+    const stats = parseLine(sample);
+
+    // 20,000,000 intervals used of 4 CPUs x 10,000,000 intervals per second
+    expect(stats.cpu_percent).toBeCloseTo(50);
+    expect(stats.cpu_online).toBe(4);
+    expect(stats.cpu_total_usage).toBe(151406250 * 100);
+    expect(stats.cpu_usage_in_kernelmode).toBe(83593750 * 100);
+    expect(stats.cpu_usage_in_usermode).toBe(67812500 * 100);
+  });
+
+  it('maps the memory stats', () => {
+    const stats = parseLine(sample);
+
+    expect(stats.mem_used).toBe(62320640);
+    expect(stats.mem_usage_no_cache).toBe(62320640);
+    expect(stats.mem_private_working_set).toBe(62320640);
+    expect(stats.mem_commit_bytes).toBe(93257728);
+    expect(stats.mem_commit_peak_bytes).toBe(111112192);
+    expect(stats.mem_total).toBeUndefined();
+  });
+
+  it('keeps storage_stats and maps them to block I/O fields', () => {
+    const stats = parseLine(sample);
+
+    expect(stats.blkio_read_bytes).toBe(159367168);
+    expect(stats.blkio_write_bytes).toBe(21053440);
+    expect(stats.blkio_read_ops).toBe(7502);
+    expect(stats.blkio_write_ops).toBe(1843);
+    expect(stats.blkio_total_bytes).toBe(159367168 + 21053440);
+    expect(stats).toMatchObject({
+      storage_read_count_normalized: 7502,
+      storage_read_size_bytes: 159367168,
+      storage_write_count_normalized: 1843,
+      storage_write_size_bytes: 21053440
+    });
+  });
+});
+
+describe('Linux stats', () => {
+  const sample = readFixture('linux-cgroup-v2');
+
+  it('is not detected as Windows', () => {
+    expect(isWindowsStats(JSON.parse(sample))).toBe(false);
+    expect(isWindowsStats({ ...JSON.parse(sample), os_type: 'linux', num_procs: 4 })).toBe(false);
+  });
+
+  it('keeps the Linux CPU and memory semantics', () => {
+    const stats = parseLine(sample);
+
+    // 10,000,000ns of 100,000,000ns system time on 16 CPUs
+    expect(stats.cpu_percent).toBeCloseTo(160);
+    expect(stats.cpu_total_usage).toBe(406981000);
+    expect(stats.mem_used).toBe(52428800);
+    expect(stats.mem_usage_no_cache).toBe(52428800 - 10485760);
+    expect(stats.mem_total).toBe(8589934592);
+    expect(stats.blkio_total_bytes).toBe(4096000 + 1024000);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createStatsAggregator,
+  summarizeWindow
+} from '../../../src/services/metrics/aggregator.mjs';
+import { isCounterField } from '../../../src/services/metrics/fields.mjs';
+
+describe('isCounterField', () => {
+  it('treats derived rates of counters as gauges', () => {
+    expect(isCounterField('blkio_read_bytes')).toBe(true);
+    expect(isCounterField('mem_workingset_refault')).toBe(true);
+    expect(isCounterField('blkio_read_bytes_per_sec')).toBe(false);
+    expect(isCounterField('blkio_8_0_read_ops_per_sec')).toBe(false);
+    expect(isCounterField('mem_workingset_refault_per_sec')).toBe(false);
+    expect(isCounterField('net_in_bytes_per_sec')).toBe(false);
+  });
+});
+
+describe('createStatsAggregator', () => {
+  it('keeps min, max and mean of block I/O rates', () => {
+    const windows = [];
+    const aggregator = createStatsAggregator({
+      windowMs: 10000,
+      onWindow: (containerId, containerName, stats) => windows.push(stats)
+    });
+
+    [1000, 99000, 1000].forEach((rate, index) => {
+      aggregator.add(
+        'local',
+        'abc',
+        'web',
+        {
+          timestamp: new Date(index * 1000),
+          blkio_read_bytes: 5000 * index,
+          blkio_read_bytes_per_sec: rate,
+          net_in_bytes_per_sec: rate
+        },
+        {}
+      );
+    });
+    aggregator.flush();
+
+    expect(windows).toHaveLength(1);
+    const [stats] = windows;
+    expect(stats.blkio_read_bytes).toBe(10000);
+    expect(stats.blkio_read_bytes_min).toBeUndefined();
+    expect(stats.blkio_read_bytes_per_sec).toBe(1000);
+    expect(stats.blkio_read_bytes_per_sec_min).toBe(1000);
+    expect(stats.blkio_read_bytes_per_sec_max).toBe(99000);
+    expect(stats.blkio_read_bytes_per_sec_mean).toBeCloseTo(101000 / 3);
+    expect(stats.net_in_bytes_per_sec_max).toBe(99000);
+  });
+
+  it('writes the sample count of the window', () => {
+    const stats = summarizeWindow({
+      windowStart: 0,
+      containerId: 'abc',
+      containerName: 'web',
+      metadata: {},
+      samples: 2,
+      gauges: new Map(),
+      last: {}
+    });
+    expect(stats.sample_count).toBe(2);
+  });
+
+  it('keeps the windows of the same container ID on different daemons apart', () => {
+    const windows = [];
+    const aggregator = createStatsAggregator({
+      windowMs: 10000,
+      onWindow: (containerId, containerName, stats, metadata) => windows.push({ stats, metadata })
+    });
+
+    aggregator.add(
+      'local',
+      'abc',
+      'web',
+      { timestamp: new Date(1000), cpu_percent: 10 },
+      {
+        docker_host: 'local'
+      }
+    );
+    aggregator.add(
+      'remote',
+      'abc',
+      'web',
+      { timestamp: new Date(2000), cpu_percent: 90 },
+      {
+        docker_host: 'remote'
+      }
+    );
+    aggregator.flush();
+
+    expect(windows).toEqual([
+      expect.objectContaining({
+        stats: expect.objectContaining({ sample_count: 1, cpu_percent_max: 10 }),
+        metadata: { docker_host: 'local' }
+      }),
+      expect.objectContaining({
+        stats: expect.objectContaining({ sample_count: 1, cpu_percent_max: 90 }),
+        metadata: { docker_host: 'remote' }
+      })
+    ]);
+  });
+
+  it('writes and clears the open window of a forgotten container', () => {
+    const windows = [];
+    const aggregator = createStatsAggregator({
+      windowMs: 10000,
+      onWindow: (containerId, containerName, stats) => windows.push({ containerId, stats })
+    });
+
+    aggregator.add('local', 'abc', 'web', { timestamp: new Date(1000), cpu_percent: 10 }, {});
+    aggregator.forget('local', 'abc');
+    expect(windows).toEqual([
+      { containerId: 'abc', stats: expect.objectContaining({ sample_count: 1 }) }
+    ]);
+
+    // A container restarted under the same ID starts a fresh window
+    aggregator.add('local', 'abc', 'web', { timestamp: new Date(2000), cpu_percent: 30 }, {});
+    aggregator.flush();
+    expect(windows[1].stats).toMatchObject({ sample_count: 1, cpu_percent_min: 30 });
+  });
+});
@@ -0,0 +1,153 @@
+import fs from 'node:fs';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { parseLine } from '../../../src/services/docker/validation.mjs';
+import { createMetricsHandler } from '../../../src/services/metrics/handler.mjs';
+
+const sinks = vi.hoisted(() => new Map());
+
+vi.mock('../../../src/services/metrics/sinks/index.mjs', () => ({
+  createSink: ({ name }) => sinks.get(name)
+}));
+
+const stats = parseLine(
+  fs.readFileSync(new URL('../../fixtures/stats/linux-cgroup-v2.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Creates a sink that records the written points
+ * @param {string} name - Sink name
+ * @param {boolean} stalled - Whether writes never settle
+ * @returns {import('../../../src/services/metrics/sinks/index.mjs').Sink & { written: object[] }} Fake sink
+ */
+function createFakeSink(name, stalled) {
+  const written = [];
+  return {
+    name,
+    written,
+    init: async () => {},
+    write: stalled ? () => new Promise(() => {}) : async points => written.push(...points),
+    health: async () => true,
+    close: async () => {}
+  };
+}
+
+/**
+ * Builds the handler configuration for the given sinks
+ * @param {string[]} names - Sink names
+ * @param {object} [overrides] - Handler settings to override
+ * @returns {object} Handler configuration
+ */
+function buildConfig(names, overrides = {}) {
+  return {
+    sinks: names.map(name => ({
+      name,
+      batch: {
+        maxSize: 1,
+        maxWaitMs: 100,
+        maxBufferedPoints: 1000,
+        overflowPolicy: 'drop_oldest',
+        downsampleFactor: 2,
+        highWaterMark: 4,
+        lowWaterMark: 2
+      }
+    })),
+    spool: { enabled: false },
+    selfMetricsIntervalMs: 0,
+    aggregationWindowMs: 0,
+    derivedRates: false,
+    statsSchema: 'flat',
+    blkioDeviceNames: false,
+    ...overrides
+  };
+}
+
+describe('createMetricsHandler', () => {
+  let onPressureChange;
+  let handler;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sinks.clear();
+    onPressureChange = vi.fn();
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await handler.shutdown();
+  });
+
+  /**
+   * Creates and initializes the handler for the given sinks
+   * @param {Array<ReturnType<typeof createFakeSink>>} fakeSinks - Sinks to write to
+   * @param {object} [overrides] - Handler settings to override
+   * @returns {Promise<void>}
+   */
+  async function createHandler(fakeSinks, overrides) {
+    for (const sink of fakeSinks) {
+      sinks.set(sink.name, sink);
+    }
+    handler = createMetricsHandler(
+      buildConfig(
+        fakeSinks.map(({ name }) => name),
+        overrides
+      ),
+      {
+        onPressureChange
+      }
+    );
+    await handler.init();
+  }
+
+  /**
+   * Sends samples of one container to the handler
+   * @param {number} count - Number of samples
+   * @returns {Promise<void>}
+   */
+  async function sendSamples(count) {
+    for (let i = 0; i < count; i++) {
+      await handler.handleStats('abc', 'web', stats, { docker_host: 'local' });
+      await vi.advanceTimersByTimeAsync(0);
+    }
+  }
+
+  it('keeps writing to a healthy sink while another one is stalled', async () => {
+    const healthy = createFakeSink('healthy', false);
+    await createHandler([healthy, createFakeSink('stalled', true)]);
+
+    await sendSamples(10);
+
+    expect(
+      healthy.written.filter(({ measurement }) => measurement === 'docker_stats')
+    ).toHaveLength(10);
+    expect(onPressureChange).not.toHaveBeenCalled();
+    expect(handler.isUnderPressure()).toBe(false);
+  });
+
+  it('pauses the collection once every sink is stalled', async () => {
+    await createHandler([createFakeSink('first', true), createFakeSink('second', true)]);
+
+    await sendSamples(10);
+
+    expect(onPressureChange.mock.calls).toEqual([[true]]);
+    expect(handler.isUnderPressure()).toBe(true);
+  });
+
+  it('writes the open window of a forgotten container right away', async () => {
+    const sink = createFakeSink('influxdb', false);
+    await createHandler([sink], { aggregationWindowMs: 60000, derivedRates: true });
+
+    await sendSamples(3);
+    expect(sink.written).toEqual([]);
+
+    handler.forgetContainer('local', 'abc');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(sink.written.map(({ measurement }) => measurement)).toEqual([
+      'docker_stats',
+      'docker_blkio_device'
+    ]);
+    for (const point of sink.written) {
+      expect(point.fields.sample_count).toBe(3);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { createPrometheusExporter } from '../../../src/services/metrics/prometheus.mjs';
+
+const options = { host: '127.0.0.1', port: 19487, path: '/metrics' };
+
+/**
+ * Scrapes the exporter
+ * @returns {Promise<string>} Exposition text
+ */
+async function scrape() {
+  const response = await fetch(`http://${options.host}:${options.port}${options.path}`);
+  return response.text();
+}
+
+describe('createPrometheusExporter', () => {
+  const exporter = createPrometheusExporter(options);
+
+  afterEach(async () => {
+    await exporter.stop();
+  });
+
+  it('keeps the series of the same container ID on different daemons apart', async () => {
+    await exporter.start();
+    exporter.update('local', 'abc', 'web', { cpu_percent: 1.5 });
+    exporter.update('remote', 'abc', 'web', { cpu_percent: 7 });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'docker_cpu_percent{container_id="abc",container_name="web",docker_host="local"} 1.5'
+    );
+    expect(text).toContain(
+      'docker_cpu_percent{container_id="abc",container_name="web",docker_host="remote"} 7'
+    );
+  });
+
+  it('drops only the series of the removed daemon', async () => {
+    await exporter.start();
+    exporter.update('local', 'abc', 'web', { cpu_percent: 1.5 });
+    exporter.update('remote', 'abc', 'web', { cpu_percent: 7 });
+    exporter.remove('local', 'abc');
+
+    const text = await scrape();
+    expect(text).not.toContain('docker_host="local"');
+    expect(text).toContain('docker_host="remote"');
+  });
+
+  it('exports block devices with a device label', async () => {
+    await exporter.start();
+    exporter.update('local', 'abc', 'web', {
+      blkio_read_bytes: 4096,
+      blkio_8_0_read_bytes: 4096,
+      blkio_8_0_read_bytes_per_sec: 512
+    });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'docker_blkio_read_bytes_total{container_id="abc",container_name="web",docker_host="local"} 4096'
+    );
+    expect(text).toContain(
+      'docker_blkio_device_read_bytes_total{container_id="abc",container_name="web",docker_host="local",device="8:0"} 4096'
+    );
+    expect(text).toContain(
+      'docker_blkio_device_read_bytes_per_sec{container_id="abc",container_name="web",docker_host="local",device="8:0"} 512'
+    );
+    expect(text).not.toContain('docker_blkio_8_0');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { createRateCalculator, deriveRates } from '../../../src/services/metrics/rates.mjs';
+
+/**
+ * Builds a sample with network and throttling counters
+ * @param {number} seconds - Sample time in seconds
+ * @param {Record<string, number>} counters - Counter values
+ * @returns {import('../../../src/types/docker.mjs').ParsedStats} Sample
+ */
+function buildSample(seconds, counters) {
+  return /** @type {any} */ ({
+    timestamp: new Date(seconds * 1000),
+    cpu_percent: 12.5,
+    cpu_throttling_periods: 0,
+    cpu_throttled_periods: 0,
+    ...counters
+  });
+}
+
+describe('deriveRates', () => {
+  it('divides the counter deltas by the elapsed time', () => {
+    const rates = deriveRates(
+      buildSample(10, { net_in_bytes: 1000, cpu_throttling_periods: 10, cpu_throttled_periods: 1 }),
+      buildSample(12, { net_in_bytes: 5000, cpu_throttling_periods: 20, cpu_throttled_periods: 3 })
+    );
+
+    expect(rates).toEqual({ net_in_bytes_per_sec: 2000, cpu_throttled_ratio: 0.2 });
+  });
+
+  it('derives no rate from a counter that was reset', () => {
+    const rates = deriveRates(
+      buildSample(10, { net_in_bytes: 5000, net_out_bytes: 100 }),
+      buildSample(12, { net_in_bytes: 200, net_out_bytes: 300 })
+    );
+
+    expect(rates).not.toHaveProperty('net_in_bytes_per_sec');
+    expect(rates.net_out_bytes_per_sec).toBe(100);
+  });
+});
+
+describe('createRateCalculator', () => {
+  it('passes the first sample of a container on without rates', () => {
+    const rates = createRateCalculator();
+    const first = buildSample(10, { net_in_bytes: 1000 });
+
+    expect(rates.apply('local', 'abc', first)).toBe(first);
+    expect(rates.apply('local', 'abc', buildSample(11, { net_in_bytes: 1500 }))).toMatchObject({
+      net_in_bytes_per_sec: 500
+    });
+  });
+
+  it('keeps the samples of the same container ID on different daemons apart', () => {
+    const rates = createRateCalculator();
+    rates.apply('local', 'abc', buildSample(10, { net_in_bytes: 1000 }));
+
+    const remote = rates.apply('remote', 'abc', buildSample(11, { net_in_bytes: 9000 }));
+
+    expect(remote).not.toHaveProperty('net_in_bytes_per_sec');
+  });
+
+  it('starts over after a container was forgotten', () => {
+    const rates = createRateCalculator();
+    rates.apply('local', 'abc', buildSample(10, { net_in_bytes: 1000 }));
+    rates.forget('local', 'abc');
+
+    const next = rates.apply('local', 'abc', buildSample(11, { net_in_bytes: 1500 }));
+
+    expect(next).not.toHaveProperty('net_in_bytes_per_sec');
+  });
+});
@@ -0,0 +1,112 @@
+import http from 'node:http';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createHttpSink } from '../../../../src/services/metrics/sinks/http.mjs';
+
+describe('createHttpSink', () => {
+  /** @type {Array<{ method: string, url: string, headers: http.IncomingHttpHeaders, body: string }>} */
+  let requests;
+  let server;
+  let baseUrl;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = res => res.writeHead(204).end();
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        respond(res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Creates a sink writing to the test server
+   * @param {object} [options] - Sink overrides
+   * @param {object} [options.http] - Endpoint setting overrides
+   * @returns {import('../../../../src/services/metrics/sinks/index.mjs').Sink} Sink
+   */
+  const createSink = ({ http: endpoint = {}, ...options } = {}) =>
+    createHttpSink({
+      name: 'http',
+      type: 'http',
+      writeTimeoutMs: 1000,
+      http: {
+        url: `${baseUrl}/write`,
+        token: 'secret',
+        healthUrl: `${baseUrl}/health`,
+        retry: { maxRetries: 3, initialDelayMs: 1, maxDelayMs: 1 },
+        ...endpoint
+      },
+      ...options
+    });
+
+  /** @type {import('../../../../src/utils/batch.mjs').Point[]} */
+  const points = [{ measurement: 'docker_stats', tags: {}, fields: { cpu_percent: 1 } }];
+
+  it('posts line protocol with millisecond precision and the bearer token', async () => {
+    await createSink().write([
+      {
+        measurement: 'docker_stats',
+        tags: { container_name: 'web' },
+        fields: { cpu_percent: 1.5 },
+        timestamp: new Date(1736339521034)
+      }
+    ]);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].method).toBe('POST');
+    expect(requests[0].url).toBe('/write?precision=ms');
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body).toBe('docker_stats,container_name=web cpu_percent=1.5 1736339521034');
+  });
+
+  it('fails writes that exceed the write timeout', async () => {
+    respond = () => {};
+    const sink = createSink({
+      writeTimeoutMs: 50,
+      http: { retry: { maxRetries: 1, initialDelayMs: 1, maxDelayMs: 1 } }
+    });
+
+    await expect(sink.write(points)).rejects.toThrow('TimeoutError');
+  });
+
+  it('retries writes that fail with a transient error', async () => {
+    respond = res => {
+      respond = next => next.writeHead(204).end();
+      res.writeHead(503).end();
+    };
+
+    await createSink().write(points);
+    expect(requests).toHaveLength(2);
+  });
+
+  it('does not retry writes the endpoint rejects', async () => {
+    respond = res => res.writeHead(400).end('unable to parse');
+
+    await expect(createSink().write(points)).rejects.toThrow('status 400');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('reports the health of the endpoint', async () => {
+    expect(await createSink().health()).toBe(true);
+    expect(requests[0].url).toBe('/health');
+
+    respond = res => res.writeHead(503).end();
+    expect(await createSink().health()).toBe(false);
+  });
+
+  it('skips the health check without a health URL', async () => {
+    expect(await createSink({ http: { healthUrl: '' } }).health()).toBe(true);
+    expect(requests).toHaveLength(0);
+  });
+});
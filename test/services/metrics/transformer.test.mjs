@@ -0,0 +1,116 @@
+import fs from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { parseLine } from '../../../src/services/docker/validation.mjs';
+import { transformStats } from '../../../src/services/metrics/transformer.mjs';
+
+const timestamp = new Date('2025-01-08T12:32:01.030Z');
+
+const stats = {
+  timestamp,
+  read_time: timestamp.getTime(),
+  preread_time: timestamp.getTime() - 1000,
+  cpu_percent: 12.5,
+  mem_used: 1024,
+  net_in_bytes: 100,
+  net_eth0_in_bytes: 100,
+  blkio_read_bytes: 4096,
+  pids_current: 3
+};
+
+/**
+ * Collects the measurement names of points
+ * @param {Array<{ measurement: string }>} points - Points
+ * @returns {string[]} Sorted measurement names
+ */
+const measurements = points => points.map(({ measurement }) => measurement).sort();
+
+describe('transformStats', () => {
+  it('keeps the sample times on docker_stats in the tagged schema', () => {
+    const points = transformStats('abc', 'web', stats, {}, { schema: 'tagged' });
+    const statsPoint = points.find(({ measurement }) => measurement === 'docker_stats');
+
+    expect(statsPoint.fields).toMatchObject({ read_time: stats.read_time, cpu_percent: 12.5 });
+  });
+
+  it('writes only the resource group measurements in the split schema', () => {
+    const points = transformStats('abc', 'web', stats, {}, { schema: 'split' });
+
+    expect(measurements(points)).toEqual([
+      'docker_blkio',
+      'docker_cpu',
+      'docker_memory',
+      'docker_network',
+      'docker_pids'
+    ]);
+    expect(points.find(({ measurement }) => measurement === 'docker_network').fields).toEqual({
+      net_in_bytes: 100,
+      net_eth0_in_bytes: 100
+    });
+    for (const point of points) {
+      expect(point.fields).not.toHaveProperty('read_time');
+      expect(point.fields).not.toHaveProperty('preread_time');
+      expect(point.timestamp).toBe(timestamp);
+    }
+  });
+
+  describe('block devices', () => {
+    const multiDevice = parseLine(
+      fs.readFileSync(
+        new URL('../../fixtures/stats/linux-multi-device.json', import.meta.url),
+        'utf8'
+      )
+    );
+
+    it.each(['flat', 'tagged', 'split'])(
+      'writes every device as a tagged docker_blkio_device point in the %s schema',
+      schema => {
+        const points = transformStats('abc', 'web', multiDevice, {}, { schema });
+
+        const devicePoints = points.filter(
+          ({ measurement }) => measurement === 'docker_blkio_device'
+        );
+        expect(devicePoints.map(({ tags, fields }) => ({ device: tags.device, fields }))).toEqual([
+          {
+            device: '8:0',
+            fields: { read_bytes: 4096000, write_bytes: 1024000, read_ops: 250, write_ops: 40 }
+          },
+          {
+            device: '259:0',
+            fields: { read_bytes: 204800, write_bytes: 8192000, read_ops: 12, write_ops: 900 }
+          }
+        ]);
+        expect(devicePoints[0].tags).toMatchObject({ container_id: 'abc', container_name: 'web' });
+
+        for (const { fields } of points) {
+          expect(Object.keys(fields).filter(field => /^blkio_\d+_\d+_/.test(field))).toEqual([]);
+        }
+        const totals = points.find(({ fields }) => 'blkio_read_bytes' in fields).fields;
+        expect(totals).toMatchObject({
+          blkio_read_bytes: 4096000 + 204800,
+          blkio_write_bytes: 1024000 + 8192000,
+          blkio_read_ops: 250 + 12,
+          blkio_write_ops: 40 + 900
+        });
+      }
+    );
+
+    it('tags devices with their resolved name', () => {
+      const points = transformStats(
+        'abc',
+        'web',
+        multiDevice,
+        {},
+        { resolveDeviceName: device => ({ '8:0': 'sda' })[device] }
+      );
+
+      expect(
+        points
+          .filter(({ measurement }) => measurement === 'docker_blkio_device')
+          .map(({ tags }) => [tags.device, tags.device_name])
+      ).toEqual([
+        ['8:0', 'sda'],
+        ['259:0', undefined]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMetricsBatcher } from '../../src/utils/batch.mjs';
+import { isPermanentWriteError } from '../../src/utils/influx.mjs';
+import { getCounters } from '../../src/utils/self-metrics.mjs';
+
+/**
+ * Builds points of one container
+ * @param {number} count - Number of points
+ * @returns {import('../../src/utils/batch.mjs').Point[]} Points
+ */
+function buildPoints(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    measurement: 'docker_stats',
+    tags: { container_id: 'abc' },
+    fields: { cpu_percent: index }
+  }));
+}
+
+/**
+ * Returns the points dropped by a sink
+ * @param {string} sink - Sink name
+ * @returns {number} Dropped points over all reasons
+ */
+function countDropped(sink) {
+  return getCounters()
+    .filter(({ name, labels }) => name === 'points_dropped' && labels.sink === sink)
+    .reduce((sum, { value }) => sum + value, 0);
+}
+
+/**
+ * Starts a write that settles once its resolver is called
+ * @param {Array<function(): void>} pendingWrites - Receives the resolver of the write
+ * @returns {Promise<void>} Pending write
+ */
+function deferWrite(pendingWrites) {
+  return new Promise(resolve => pendingWrites.push(resolve));
+}
+
+describe('createMetricsBatcher', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('counts points being written toward the buffer limit', async () => {
+    // Writes never settle, so every flushed batch stays in flight
+    const writePoints = vi.fn(() => new Promise(() => {}));
+    const batcher = createMetricsBatcher(
+      { writePoints },
+      { name: 'in-flight', maxSize: 10, maxBufferedPoints: 25, overflowPolicy: 'drop_newest' }
+    );
+
+    batcher.add(buildPoints(10));
+    batcher.add(buildPoints(10));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(writePoints).toHaveBeenCalledTimes(2);
+
+    // 20 points are in flight, leaving room for 5
+    batcher.add(buildPoints(10));
+    expect(countDropped('in-flight')).toBe(5);
+  });
+
+  it('drops batches rejected with a permanent error instead of requeueing them', async () => {
+    const rejection = Object.assign(new Error('unable to parse points'), { statusCode: 400 });
+    const writePoints = vi.fn().mockRejectedValue(rejection);
+    const batcher = createMetricsBatcher(
+      { writePoints },
+      { name: 'rejected', maxSize: 10, maxWaitMs: 100, isPermanentError: isPermanentWriteError }
+    );
+
+    batcher.add(buildPoints(10));
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(writePoints).toHaveBeenCalledTimes(1);
+    expect(countDropped('rejected')).toBe(10);
+  });
+
+  describe('backpressure', () => {
+    /** @type {Array<function(): void>} Settles the pending writes in write order */
+    let pendingWrites;
+    let onPressureChange;
+    let batcher;
+
+    beforeEach(() => {
+      pendingWrites = [];
+      onPressureChange = vi.fn();
+      batcher = createMetricsBatcher(
+        { writePoints: () => deferWrite(pendingWrites) },
+        {
+          name: 'pressure',
+          maxSize: 10,
+          maxWaitMs: 60000,
+          highWaterMark: 20,
+          lowWaterMark: 10,
+          onPressureChange
+        }
+      );
+    });
+
+    it('applies backpressure once when the buffer crosses the high-water mark', async () => {
+      batcher.add(buildPoints(10));
+      batcher.add(buildPoints(9));
+      expect(onPressureChange).not.toHaveBeenCalled();
+
+      batcher.add(buildPoints(1));
+      batcher.add(buildPoints(10));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(onPressureChange.mock.calls).toEqual([[true]]);
+    });
+
+    it('releases backpressure once when the buffer drains below the low-water mark', async () => {
+      batcher.add(buildPoints(10));
+      batcher.add(buildPoints(10));
+      batcher.add(buildPoints(5));
+      await vi.advanceTimersByTimeAsync(0);
+
+      // 15 points left, still above the low-water mark
+      pendingWrites.shift()();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(onPressureChange.mock.calls).toEqual([[true]]);
+
+      pendingWrites.shift()();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(onPressureChange.mock.calls).toEqual([[true], [false]]);
+
+      await vi.advanceTimersByTimeAsync(60000);
+      pendingWrites.shift()();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(onPressureChange.mock.calls).toEqual([[true], [false]]);
+    });
+  });
+});
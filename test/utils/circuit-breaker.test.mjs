@@ -0,0 +1,86 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createCircuitBreaker } from '../../src/utils/circuit-breaker.mjs';
+
+describe('createCircuitBreaker', () => {
+  let onStateChange;
+  let breaker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    onStateChange = vi.fn();
+    breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      failureWindowMs: 60000,
+      openDurationMs: 30000,
+      onStateChange
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('opens after the threshold, turns half-open after the open duration and closes on success', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe('closed');
+
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe('open');
+    expect(breaker.canAttempt()).toBe(false);
+    expect(breaker.getRetryDelay()).toBe(30000);
+
+    vi.advanceTimersByTime(29999);
+    expect(breaker.canAttempt()).toBe(false);
+    expect(breaker.getRetryDelay()).toBe(1);
+
+    vi.advanceTimersByTime(1);
+    expect(breaker.canAttempt()).toBe(true);
+    expect(breaker.getState()).toBe('half_open');
+
+    breaker.recordSuccess();
+    expect(breaker.getState()).toBe('closed');
+    expect(breaker.getFailureCount()).toBe(0);
+    expect(onStateChange.mock.calls).toEqual([
+      ['open', 'closed'],
+      ['half_open', 'open'],
+      ['closed', 'half_open']
+    ]);
+  });
+
+  it('reopens right away when the half-open trial fails', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure();
+    }
+    vi.advanceTimersByTime(30000);
+    expect(breaker.getState()).toBe('half_open');
+
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe('open');
+    expect(breaker.getRetryDelay()).toBe(30000);
+    expect(onStateChange).toHaveBeenLastCalledWith('open', 'half_open');
+  });
+
+  it('only counts the failures within the sliding window', () => {
+    breaker.recordFailure();
+    vi.advanceTimersByTime(40000);
+    breaker.recordFailure();
+    vi.advanceTimersByTime(20000);
+
+    // The first failure is exactly one window old and no longer counts
+    expect(breaker.getFailureCount()).toBe(1);
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe('closed');
+
+    breaker.recordFailure();
+    expect(breaker.getState()).toBe('open');
+  });
+
+  it('ignores successes while closed', () => {
+    breaker.recordFailure();
+    breaker.recordSuccess();
+
+    expect(breaker.getFailureCount()).toBe(1);
+    expect(onStateChange).not.toHaveBeenCalled();
+  });
+});
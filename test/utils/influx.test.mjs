@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createRetryableInfluxV2, isPermanentWriteError } from '../../src/utils/influx.mjs';
+
+const RETRY_OPTIONS = { maxRetries: 3, initialDelayMs: 1, maxDelayMs: 1 };
+
+/**
+ * Creates a request error like the InfluxDB clients throw it
+ * @param {number} statusCode - HTTP status
+ * @returns {Error & { statusCode: number }} Request error
+ */
+function createStatusError(statusCode) {
+  return Object.assign(new Error(`failed with status ${statusCode}`), { statusCode });
+}
+
+describe('isPermanentWriteError', () => {
+  it.each([400, 401, 404, 413])('treats status %i as permanent', statusCode => {
+    expect(isPermanentWriteError(createStatusError(statusCode))).toBe(true);
+  });
+
+  it.each([429, 500, 503])('treats status %i as transient', statusCode => {
+    expect(isPermanentWriteError(createStatusError(statusCode))).toBe(false);
+  });
+
+  it('reads the status of the 1.x client from the response', () => {
+    expect(isPermanentWriteError(Object.assign(new Error(), { res: { statusCode: 400 } }))).toBe(
+      true
+    );
+    expect(isPermanentWriteError(new Error('connect ECONNREFUSED'))).toBe(false);
+  });
+});
+
+describe('createRetryableInfluxV2', () => {
+  it('does not retry writes rejected with a 4xx status', async () => {
+    const writePoints = vi.fn().mockRejectedValue(createStatusError(400));
+    const influx = createRetryableInfluxV2({ writePoints }, RETRY_OPTIONS);
+
+    await expect(influx.writePoints([])).rejects.toThrow('status 400');
+    expect(writePoints).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([429, 503])('retries writes failing with status %i', async statusCode => {
+    const writePoints = vi
+      .fn()
+      .mockRejectedValueOnce(createStatusError(statusCode))
+      .mockResolvedValue(undefined);
+    const influx = createRetryableInfluxV2({ writePoints }, RETRY_OPTIONS);
+
+    await influx.writePoints([]);
+    expect(writePoints).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { serializePoint } from '../../src/utils/line-protocol.mjs';
+
+/**
+ * Serializes a point of the docker_events measurement without timestamp
+ * @param {Record<string, string>} tags - Tags
+ * @param {Record<string, unknown>} fields - Fields
+ * @returns {string | null} Line protocol line
+ */
+const serialize = (tags, fields) => serializePoint({ measurement: 'docker_events', tags, fields });
+
+describe('serializePoint', () => {
+  it('keeps line breaks in string fields on one line', () => {
+    const line = serialize({}, { message: 'first\nsecond\r\n"quoted" \\path' });
+
+    expect(line).not.toMatch(/[\r\n]/);
+    expect(line).toBe('docker_events message="first\\nsecond\\r\\n\\"quoted\\" \\\\path"');
+  });
+
+  it('doubles trailing backslashes of tag values', () => {
+    expect(serialize({ path: 'C:\\', other: 'x' }, { value: 1 })).toBe(
+      'docker_events,other=x,path=C:\\\\ value=1'
+    );
+    expect(serialize({ path: 'C:\\\\' }, { value: 1 })).toBe(
+      'docker_events,path=C:\\\\\\\\ value=1'
+    );
+  });
+
+  it('doubles backslashes before escaped characters of tag values', () => {
+    expect(serialize({ label: 'a\\ b\\,c' }, { value: 1 })).toBe(
+      'docker_events,label=a\\\\\\ b\\\\\\,c value=1'
+    );
+  });
+
+  it('keeps other backslashes of tag values literally', () => {
+    expect(serialize({ path: 'C:\\data' }, { value: 1 })).toBe(
+      'docker_events,path=C:\\data value=1'
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMetricsBatcher } from '../../src/utils/batch.mjs';
+import { createDiskSpool } from '../../src/utils/spool.mjs';
+
+/**
+ * Builds a point with a running CPU value
+ * @param {number} value - CPU value, identifies the point
+ * @returns {import('../../src/utils/batch.mjs').Point} Point
+ */
+function buildPoint(value) {
+  return {
+    measurement: 'docker_stats',
+    tags: { container_id: 'abc' },
+    fields: { cpu_percent: value },
+    timestamp: new Date(1736339521000 + value)
+  };
+}
+
+/**
+ * Reads all spooled points oldest-first, removing each segment after it was read
+ * @param {import('../../src/utils/spool.mjs').DiskSpool} spool - Spool to drain
+ * @returns {Promise<number[]>} CPU values of the points in replay order
+ */
+async function drain(spool) {
+  const values = [];
+  let entry;
+  while ((entry = await spool.readOldest())) {
+    values.push(...entry.points.map(point => point.fields.cpu_percent));
+    await spool.remove(entry.segment);
+  }
+  return values;
+}
+
+describe('createDiskSpool', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays segments oldest-first', async () => {
+    const spool = createDiskSpool({ directory, maxSegmentBytes: 1 });
+
+    await spool.append([buildPoint(1), buildPoint(2)]);
+    await spool.append([buildPoint(3)]);
+    await spool.append([buildPoint(4)]);
+
+    expect(fs.readdirSync(directory)).toHaveLength(3);
+    expect(await drain(spool)).toEqual([1, 2, 3, 4]);
+    expect(await spool.isEmpty()).toBe(true);
+    expect(fs.readdirSync(directory)).toHaveLength(0);
+  });
+
+  it('seals the active segment while it is replayed', async () => {
+    const spool = createDiskSpool({ directory });
+    await spool.append([buildPoint(1)]);
+
+    const oldest = await spool.readOldest();
+    await spool.append([buildPoint(2)]);
+    await spool.remove(oldest.segment);
+
+    expect(oldest.points.map(point => point.fields.cpu_percent)).toEqual([1]);
+    expect(await drain(spool)).toEqual([2]);
+  });
+
+  it('picks up the segments of a previous run', async () => {
+    const previous = createDiskSpool({ directory, maxSegmentBytes: 1 });
+    await previous.append([buildPoint(1)]);
+    await previous.append([buildPoint(2)]);
+
+    const spool = createDiskSpool({ directory });
+    await spool.append([buildPoint(3)]);
+    const oldest = await spool.readOldest();
+
+    expect(oldest.points[0].timestamp).toEqual(new Date(1736339521001));
+    await spool.remove(oldest.segment);
+    expect(await drain(spool)).toEqual([2, 3]);
+  });
+
+  it('drops segments that were not written to within the maximum age', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const spool = createDiskSpool({ directory, maxSegmentBytes: 1, maxAgeMs: 60000 });
+    await spool.append([buildPoint(1)]);
+
+    vi.advanceTimersByTime(30000);
+    await spool.append([buildPoint(2)]);
+    vi.advanceTimersByTime(40000);
+    await spool.append([buildPoint(3)]);
+
+    expect(await drain(spool)).toEqual([2, 3]);
+  });
+
+  it('drops the oldest segments beyond the total size', async () => {
+    const segmentBytes = Buffer.byteLength(`${JSON.stringify(buildPoint(1))}\n`);
+    const spool = createDiskSpool({
+      directory,
+      maxSegmentBytes: 1,
+      maxTotalBytes: segmentBytes * 2
+    });
+
+    for (const value of [1, 2, 3, 4]) {
+      await spool.append([buildPoint(value)]);
+    }
+
+    expect(spool.size()).toBe(segmentBytes * 2);
+    expect(await drain(spool)).toEqual([3, 4]);
+  });
+
+  it('skips a line truncated by a crash', async () => {
+    const lines = [buildPoint(1), buildPoint(2)].map(point => JSON.stringify(point));
+    fs.writeFileSync(
+      path.join(directory, '000001736339521-000001.ndjson'),
+      `${lines.join('\n')}\n${lines[0].slice(0, 20)}`
+    );
+
+    const spool = createDiskSpool({ directory });
+
+    expect(await drain(spool)).toEqual([1, 2]);
+  });
+
+  it('replays spooled points in write order once the sink recovers', async () => {
+    let healthy = false;
+    const written = [];
+    const writePoints = vi.fn(async points => {
+      if (!healthy) throw new Error('connect ECONNREFUSED');
+      written.push(...points.map(point => point.fields.cpu_percent));
+    });
+    const batcher = createMetricsBatcher(
+      { writePoints },
+      {
+        maxSize: 2,
+        maxRetries: 1,
+        replayIntervalMs: 10,
+        spool: createDiskSpool({ directory }),
+        healthCheck: async () => healthy
+      }
+    );
+
+    batcher.add([buildPoint(1), buildPoint(2)]);
+    batcher.add([buildPoint(3), buildPoint(4)]);
+    await vi.waitFor(() => expect(fs.readdirSync(directory)).toHaveLength(1));
+
+    healthy = true;
+    await vi.waitFor(() => expect(written).toEqual([1, 2, 3, 4]));
+    await batcher.shutdown();
+  });
+});